@@ -0,0 +1,113 @@
+"use strict";
+
+const CLOSING = { "[": "]", "{": "}", "(": ")" };
+const OPENING = { "]": "[", "}": "{", ")": "(" };
+
+/**
+ * Checks that `[...]`, `{...}` and, inside expressions, `(...)` are balanced
+ * across `segments` (`{ line, start, text }`, scanned in order as one text).
+ * Backslash escapes are skipped, and quotes only start strings inside `[...]`
+ * since plain Perchance text has apostrophes. Returns problems with the
+ * `line`/`start` of the opening character, or of a stray closing one;
+ * mismatches also carry the closing character in `closedAt`.
+ */
+function findBracketProblems(segments) {
+  const problems = [];
+  const stack = [];
+  let quote = null;
+
+  segments.forEach(({ line, start, text }) => {
+    for (let index = 0; index < text.length; index += 1) {
+      const char = text[index];
+      const position = { line, start: start + index };
+      if (char === "\\") {
+        index += 1;
+        continue;
+      }
+      if (quote) {
+        if (char === quote.char) {
+          quote = null;
+        }
+        continue;
+      }
+      const inExpression = stack.some(
+        (entry) => entry.char === "[" || entry.char === "(",
+      );
+      if (inExpression && (char === '"' || char === "'" || char === "`")) {
+        quote = { char, ...position };
+        continue;
+      }
+      if (char === "[" || char === "{" || (char === "(" && inExpression)) {
+        stack.push({ char, ...position });
+        continue;
+      }
+      if (char !== "]" && char !== "}" && !(char === ")" && inExpression)) {
+        continue;
+      }
+
+      const top = stack[stack.length - 1];
+      if (top && top.char === OPENING[char]) {
+        stack.pop();
+        continue;
+      }
+      const matchIndex = stack
+        .map((entry) => entry.char)
+        .lastIndexOf(OPENING[char]);
+      if (matchIndex === -1 && !top) {
+        problems.push({
+          ...position,
+          char,
+          message: `Unexpected ${char} with no matching ${OPENING[char]}.`,
+          code: "perchance.unexpectedClosingBracket",
+        });
+        continue;
+      }
+      // Without a match further down, the closer most likely belongs to the
+      // innermost bracket and was mistyped.
+      const firstUnclosed =
+        matchIndex === -1 ? stack.length - 1 : matchIndex + 1;
+      stack.splice(firstUnclosed).forEach((entry) => {
+        problems.push({
+          line: entry.line,
+          start: entry.start,
+          char: entry.char,
+          message: `${entry.char} is closed by ${char} instead of ${
+            CLOSING[entry.char]
+          }.`,
+          code: "perchance.mismatchedBracket",
+          closedAt: position,
+        });
+      });
+      if (matchIndex !== -1) {
+        stack.pop();
+      }
+    }
+  });
+
+  // The brackets around an unclosed string are only unclosed because of it.
+  if (quote) {
+    problems.push({
+      line: quote.line,
+      start: quote.start,
+      char: quote.char,
+      message: `Unclosed string: missing ${quote.char}.`,
+      code: "perchance.unclosedString",
+    });
+    return problems;
+  }
+  stack.forEach((entry) => {
+    problems.push({
+      line: entry.line,
+      start: entry.start,
+      char: entry.char,
+      message: `Unclosed ${entry.char}: missing ${CLOSING[entry.char]}.`,
+      code: "perchance.unclosedBracket",
+    });
+  });
+
+  return problems;
+}
+
+module.exports = {
+  findBracketProblems,
+};
@@ -0,0 +1,228 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const http = require("http");
+const https = require("https");
+
+const DEFAULT_BASE_URL = "https://perchance.org";
+const DOWNLOAD_PATH = "/api/downloadGenerator";
+const DOWNLOAD_MODES = ["lists", "full"];
+const RETRY_DELAY_MS = 500;
+
+function buildDownloadUrl(baseUrl, generatorName, mode) {
+  const base = (baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, "");
+  const query = `generatorName=${encodeURIComponent(generatorName)}`;
+  return `${base}${DOWNLOAD_PATH}?${query}${
+    mode === "lists" ? "&listsOnly=true" : ""
+  }`;
+}
+
+function createDownloadError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Fetches `url` as text, failing after `timeout` milliseconds (0 disables
+ * the timeout). HTTP errors carry the status code in `error.status`.
+ */
+function fetchText(url, timeout = 0) {
+  if (typeof fetch === "function") {
+    const controller = new AbortController();
+    const timer = timeout
+      ? setTimeout(() => controller.abort(), timeout)
+      : null;
+    return fetch(url, { signal: controller.signal })
+      .then((response) => {
+        if (!response.ok) {
+          throw createDownloadError(
+            `Download failed: ${response.status}`,
+            response.status,
+          );
+        }
+        return response.text();
+      })
+      .catch((error) => {
+        if (error && error.name === "AbortError") {
+          throw createDownloadError(`Download timed out after ${timeout} ms`);
+        }
+        throw error;
+      })
+      .finally(() => clearTimeout(timer));
+  }
+
+  const client = url.startsWith("http:") ? http : https;
+  return new Promise((resolve, reject) => {
+    const request = client
+      .get(url, (response) => {
+        if (response.statusCode && response.statusCode >= 400) {
+          response.resume();
+          reject(
+            createDownloadError(
+              `Download failed: ${response.statusCode}`,
+              response.statusCode,
+            ),
+          );
+          return;
+        }
+        response.setEncoding("utf8");
+        let data = "";
+        response.on("data", (chunk) => {
+          data += chunk;
+        });
+        response.on("end", () => resolve(data));
+      })
+      .on("error", reject);
+    if (timeout) {
+      request.setTimeout(timeout, () => {
+        request.destroy(
+          createDownloadError(`Download timed out after ${timeout} ms`),
+        );
+      });
+    }
+  });
+}
+
+// Client errors such as the 403s perchance.org returns for some
+// generators will not change on a retry; timeouts and 5xx/429 might.
+function isRetryable(error) {
+  const status = error && error.status;
+  return !status || status === 429 || status >= 500;
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function fetchWithRetries(url, { timeout = 0, retries = 0 } = {}) {
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      return await fetchText(url, timeout);
+    } catch (error) {
+      if (attempt >= retries || !isRetryable(error)) {
+        throw error;
+      }
+      await delay(RETRY_DELAY_MS * 2 ** attempt);
+    }
+  }
+}
+
+/**
+ * Stores downloaded generators as `<cacheDir>/<mode>/<name>.txt`. Names are
+ * URI-encoded so they can never point outside the cache folder.
+ */
+function createDownloadCache(cacheDir) {
+  const getPath = (generatorName, mode) =>
+    path.join(cacheDir, mode, `${encodeURIComponent(generatorName)}.txt`);
+
+  function read(generatorName, mode) {
+    try {
+      return fs.readFileSync(getPath(generatorName, mode), "utf8");
+    } catch {
+      return null;
+    }
+  }
+
+  function write(generatorName, mode, text) {
+    const filePath = getPath(generatorName, mode);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, text, "utf8");
+  }
+
+  function list() {
+    const entries = [];
+    DOWNLOAD_MODES.forEach((mode) => {
+      const dir = path.join(cacheDir, mode);
+      if (!fs.existsSync(dir)) {
+        return;
+      }
+      fs.readdirSync(dir)
+        .filter((file) => file.endsWith(".txt"))
+        .forEach((file) => {
+          const filePath = path.join(dir, file);
+          const stats = fs.statSync(filePath);
+          entries.push({
+            name: decodeURIComponent(file.slice(0, -".txt".length)),
+            mode,
+            path: filePath,
+            size: stats.size,
+            downloadedAt: stats.mtime,
+          });
+        });
+    });
+    return entries.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  function clear() {
+    const count = list().length;
+    DOWNLOAD_MODES.forEach((mode) => {
+      fs.rmSync(path.join(cacheDir, mode), { recursive: true, force: true });
+    });
+    return count;
+  }
+
+  return { read, write, list, clear };
+}
+
+/**
+ * Downloads generators from the configured API. `getOptions()` is read on
+ * every call and returns `{ baseUrl, timeout, retries, cache, offline }`.
+ * Resolves to `{ text, fromCache }`; offline mode only reads the cache, and
+ * a failed download falls back to a cached copy when there is one.
+ */
+function createGeneratorDownloader(getOptions, cacheDir) {
+  const cache = createDownloadCache(cacheDir);
+
+  async function download(generatorName, mode) {
+    const options = getOptions();
+    const cached = () => cache.read(generatorName, mode);
+
+    if (options.offline) {
+      const text = cached();
+      if (text === null) {
+        throw new Error(
+          `"${generatorName}" (${mode}) is not in the download cache and offline mode is on.`,
+        );
+      }
+      return { text, fromCache: true };
+    }
+
+    let text;
+    try {
+      text = await fetchWithRetries(
+        buildDownloadUrl(options.baseUrl, generatorName, mode),
+        options,
+      );
+    } catch (error) {
+      const fallback = options.cache ? cached() : null;
+      if (fallback === null) {
+        throw error;
+      }
+      return { text: fallback, fromCache: true };
+    }
+
+    if (options.cache) {
+      try {
+        cache.write(generatorName, mode, text);
+      } catch {
+        // The download itself worked; it just won't be cached.
+      }
+    }
+    return { text, fromCache: false };
+  }
+
+  return {
+    download,
+    listCache: cache.list,
+    clearCache: cache.clear,
+  };
+}
+
+module.exports = {
+  DEFAULT_BASE_URL,
+  buildDownloadUrl,
+  fetchText,
+  createGeneratorDownloader,
+};
@@ -0,0 +1,550 @@
+"use strict";
+
+const {
+  parseListTree,
+  splitItemOdds,
+  getOddsWeight,
+  findClosingBracket,
+  splitTopLevel,
+} = require("./syntax");
+
+const MAX_DEPTH = 100;
+// Items rendered per sample. The depth limit alone does not stop items like
+// `[x][x]` that branch on every level.
+const MAX_STEPS = 20000;
+const MAX_SELECT_COUNT = 1000;
+const OUTPUT_LIST_NAMES = ["$output", "output"];
+const A_AN_MARKER = "\u0001";
+const IDENTIFIER_REGEX = /^[A-Za-z_$][\w$]*/;
+const ASSIGNMENT_REGEX = /^([A-Za-z_$][\w$]*)\s*=(?![=>])\s*([\s\S]+)$/;
+const STRING_LITERAL_REGEX = /^(["'`])([\s\S]*)\1$/;
+const NUMBER_LITERAL_REGEX = /^-?\d+(\.\d+)?$/;
+const RANGE_REGEX = /^\s*(-?\d+)\s*-\s*(-?\d+)\s*$/;
+const LETTER_RANGE_REGEX = /^\s*([a-zA-Z])\s*-\s*([a-zA-Z])\s*$/;
+const PERCENT_OPTION_REGEX = /^\s*(\d+(?:\.\d+)?)%\s*/;
+
+/**
+ * Evaluates a generator locally: random item choice, `^weight` odds,
+ * `{a|b}` choices, `[list]` references with member paths, and nested
+ * sublists. JavaScript (function lists, arbitrary expressions) is not run;
+ * those spots are reported as warnings instead.
+ */
+function runGenerator(tree, options = {}) {
+  const lists = new Map();
+  tree.lists.forEach((node) => {
+    if (node.name) {
+      lists.set(node.name, node);
+    }
+  });
+
+  const ctx = {
+    lists,
+    random: createRandom(options.seed),
+    variables: new Map(),
+    warnings: new Set(),
+    depth: 0,
+    steps: 0,
+  };
+
+  const listName = options.listName || findOutputListName(tree);
+  const count = Math.max(1, options.count || 1);
+  const outputs = [];
+  const root = lists.get(listName);
+
+  if (!root) {
+    ctx.warnings.add(`Unknown list: ${listName}`);
+  } else {
+    for (let i = 0; i < count; i += 1) {
+      ctx.variables.clear();
+      ctx.steps = 0;
+      outputs.push(resolveArticles(renderValue(ctx, root)));
+    }
+  }
+
+  return { listName, outputs, warnings: Array.from(ctx.warnings) };
+}
+
+function runGeneratorText(text, options = {}) {
+  return runGenerator(parseListTree(text.split(/\r?\n/)), options);
+}
+
+function findOutputListName(tree) {
+  for (const name of OUTPUT_LIST_NAMES) {
+    if (tree.lists.some((node) => node.name === name)) {
+      return name;
+    }
+  }
+  return null;
+}
+
+function createRandom(seed) {
+  if (seed === undefined || seed === null || seed === "") {
+    return Math.random;
+  }
+
+  // mulberry32, seeded from an FNV-1a hash of the seed text.
+  let state = 2166136261;
+  for (const char of String(seed)) {
+    state ^= char.charCodeAt(0);
+    state = Math.imul(state, 16777619);
+  }
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let value = Math.imul(state ^ (state >>> 15), 1 | state);
+    value = (value + Math.imul(value ^ (value >>> 7), 61 | value)) ^ value;
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function isListValue(value) {
+  return Boolean(value && typeof value === "object" && value.children);
+}
+
+function getNodeWeight(node) {
+  const weight = getOddsWeight(splitItemOdds(node.text).odds);
+  // `^[condition]` odds are not evaluated, so those items pick as usual.
+  return weight === null ? 1 : weight;
+}
+
+function pickWeighted(ctx, entries, getWeight) {
+  const weights = entries.map(getWeight);
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  if (total <= 0) {
+    return null;
+  }
+  let roll = ctx.random() * total;
+  for (let i = 0; i < entries.length; i += 1) {
+    roll -= weights[i];
+    if (roll < 0) {
+      return entries[i];
+    }
+  }
+  return entries[entries.length - 1];
+}
+
+function getSelectableItems(node) {
+  return node.children.filter((child) => child.kind !== "function");
+}
+
+function selectFromList(ctx, node) {
+  if (node.kind === "function") {
+    ctx.warnings.add(`Function list "${node.name}" cannot be evaluated.`);
+    return "";
+  }
+  if (node.kind === "shorthand") {
+    return evaluateText(ctx, node.value);
+  }
+  const item = pickWeighted(ctx, getSelectableItems(node), getNodeWeight);
+  return item ? renderItem(ctx, item) : "";
+}
+
+function renderItem(ctx, item) {
+  if (ctx.depth >= MAX_DEPTH) {
+    ctx.warnings.add("Maximum reference depth reached.");
+    return "";
+  }
+  if (ctx.steps >= MAX_STEPS) {
+    ctx.warnings.add(
+      `Stopped after rendering ${MAX_STEPS} items; the output is incomplete.`,
+    );
+    return "";
+  }
+  ctx.steps += 1;
+  ctx.depth += 1;
+  try {
+    if (item.kind === "item") {
+      return evaluateText(ctx, splitItemOdds(item.text).text);
+    }
+    return selectFromList(ctx, item);
+  } finally {
+    ctx.depth -= 1;
+  }
+}
+
+function renderValue(ctx, value) {
+  if (Array.isArray(value)) {
+    return value.join("");
+  }
+  if (value && value.consumable) {
+    return consumeOne(ctx, value);
+  }
+  if (isListValue(value)) {
+    return renderItem(ctx, value);
+  }
+  return value === undefined || value === null ? "" : String(value);
+}
+
+function evaluateText(ctx, text) {
+  let output = "";
+
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+
+    if (char === "\\" && index + 1 < text.length) {
+      output += unescapeChar(text[index + 1]);
+      index += 1;
+      continue;
+    }
+
+    if (char === "[" || char === "{") {
+      const end = findClosingBracket(text, index);
+      if (end === -1) {
+        ctx.warnings.add(`Unclosed "${char}" in: ${text}`);
+        output += text.slice(index);
+        break;
+      }
+      const inner = text.slice(index + 1, end);
+      output +=
+        char === "["
+          ? renderValue(ctx, evaluateExpression(ctx, inner))
+          : evaluateChoice(ctx, inner, output);
+      index = end;
+      continue;
+    }
+
+    output += char;
+  }
+
+  return output;
+}
+
+function unescapeChar(char) {
+  if (char === "n") {
+    return "\n";
+  }
+  if (char === "s") {
+    return " ";
+  }
+  if (char === "t") {
+    return "\t";
+  }
+  return char;
+}
+
+function evaluateChoice(ctx, inner, outputSoFar) {
+  const trimmed = inner.trim();
+
+  if (/^import:/i.test(trimmed)) {
+    ctx.warnings.add(`Imports are not resolved locally: {${trimmed}}`);
+    return "";
+  }
+  if (trimmed === "a" || trimmed === "A") {
+    return `${A_AN_MARKER}${trimmed}${A_AN_MARKER}`;
+  }
+  if (trimmed === "s") {
+    const numbers = outputSoFar.match(/-?\d+(\.\d+)?/g);
+    const last = numbers ? Number(numbers[numbers.length - 1]) : null;
+    return last === 1 ? "" : "s";
+  }
+
+  const range = trimmed.match(RANGE_REGEX);
+  if (range) {
+    const min = Math.min(Number(range[1]), Number(range[2]));
+    const max = Math.max(Number(range[1]), Number(range[2]));
+    return String(min + Math.floor(ctx.random() * (max - min + 1)));
+  }
+  const letters = trimmed.match(LETTER_RANGE_REGEX);
+  if (letters) {
+    const min = Math.min(letters[1].charCodeAt(0), letters[2].charCodeAt(0));
+    const max = Math.max(letters[1].charCodeAt(0), letters[2].charCodeAt(0));
+    return String.fromCharCode(min + Math.floor(ctx.random() * (max - min + 1)));
+  }
+
+  const options = parseChoiceOptions(inner);
+  const option = pickWeighted(ctx, options, (entry) => entry.weight);
+  return option ? evaluateText(ctx, option.text) : "";
+}
+
+/**
+ * Splits `{a | b}` into weighted options. `N%` prefixes claim that share of
+ * the odds; unweighted options split whatever is left. `^weight` suffixes
+ * behave like item odds.
+ */
+function parseChoiceOptions(inner) {
+  const options = splitTopLevel(inner, "|").map((raw) => {
+    const percent = raw.match(PERCENT_OPTION_REGEX);
+    if (percent) {
+      return {
+        text: raw.slice(percent[0].length),
+        percent: Number(percent[1]),
+        weight: null,
+      };
+    }
+    const { text, odds } = splitItemOdds(raw);
+    const weight = getOddsWeight(odds);
+    return { text, percent: null, weight: weight === null ? 1 : weight };
+  });
+
+  const percentOptions = options.filter((option) => option.percent !== null);
+  if (!percentOptions.length) {
+    return options;
+  }
+
+  const claimed = percentOptions.reduce((sum, option) => sum + option.percent, 0);
+  const rest = options.length - percentOptions.length;
+  const share = rest ? Math.max(0, 100 - claimed) / rest : 0;
+  return options.map((option) => ({
+    ...option,
+    weight: option.percent !== null ? option.percent : share,
+  }));
+}
+
+function evaluateExpression(ctx, source) {
+  const parts = splitTopLevel(source, ",", true);
+  let value = "";
+  parts.forEach((part) => {
+    value = evaluateSingleExpression(ctx, part.trim());
+  });
+  return value;
+}
+
+function evaluateSingleExpression(ctx, source) {
+  if (!source) {
+    return "";
+  }
+
+  if (source.startsWith("[") && findClosingBracket(source, 0) === source.length - 1) {
+    return evaluateSingleExpression(ctx, source.slice(1, -1).trim());
+  }
+
+  const assignment = source.match(ASSIGNMENT_REGEX);
+  if (assignment) {
+    const value = evaluateSingleExpression(ctx, assignment[2].trim());
+    ctx.variables.set(assignment[1], value);
+    return value;
+  }
+
+  const literal = parseLiteral(source);
+  if (literal !== null) {
+    return literal;
+  }
+
+  const path = parseMemberPath(source);
+  if (path) {
+    return evaluatePath(ctx, path);
+  }
+
+  ctx.warnings.add(`Unsupported expression: [${source}]`);
+  return `[${source}]`;
+}
+
+function parseLiteral(source) {
+  const string = source.match(STRING_LITERAL_REGEX);
+  if (string) {
+    return string[2];
+  }
+  if (NUMBER_LITERAL_REGEX.test(source)) {
+    return source;
+  }
+  return null;
+}
+
+/**
+ * Parses `root.member.method(args)` into its segments, or returns null if
+ * the source is anything other than a plain member path.
+ */
+function parseMemberPath(source) {
+  const rootMatch = source.match(IDENTIFIER_REGEX);
+  if (!rootMatch) {
+    return null;
+  }
+
+  const members = [];
+  let index = rootMatch[0].length;
+  while (index < source.length) {
+    const rest = source.slice(index);
+    const member = rest.match(/^\s*\.\s*([A-Za-z_$][\w$]*)/);
+    if (!member) {
+      return null;
+    }
+    index += member[0].length;
+    let args = null;
+    if (source[index] === "(") {
+      const end = findClosingBracket(source, index);
+      if (end === -1) {
+        return null;
+      }
+      args = source.slice(index + 1, end);
+      index = end + 1;
+    }
+    members.push({ name: member[1], args });
+  }
+
+  return { root: rootMatch[0], members };
+}
+
+function evaluatePath(ctx, path) {
+  let value;
+  if (ctx.variables.has(path.root)) {
+    value = ctx.variables.get(path.root);
+  } else if (ctx.lists.has(path.root)) {
+    value = ctx.lists.get(path.root);
+  } else {
+    ctx.warnings.add(`Unknown list reference: ${path.root}`);
+    return "";
+  }
+
+  for (const member of path.members) {
+    value = applyMember(ctx, value, member);
+  }
+  return value;
+}
+
+function applyMember(ctx, value, member) {
+  if (isListValue(value) && member.args === null) {
+    const sublist = value.children.find((child) => child.name === member.name);
+    if (sublist) {
+      return sublist;
+    }
+  }
+
+  const args = member.args === null ? [] : parseArguments(ctx, member.args);
+  switch (member.name) {
+    case "selectOne":
+      return renderValue(ctx, value);
+    case "selectMany":
+      return selectMany(ctx, value, args, false);
+    case "selectUnique":
+      return selectMany(ctx, value, args, true);
+    case "selectAll":
+      return isListValue(value)
+        ? getSelectableItems(value).map((item) => renderItem(ctx, item))
+        : [renderValue(ctx, value)];
+    case "joinItems":
+      return toArray(ctx, value).join(args.length ? String(args[0]) : "");
+    case "consumableList":
+      return isListValue(value)
+        ? { consumable: true, items: getSelectableItems(value) }
+        : value;
+    case "upperCase":
+      return renderValue(ctx, value).toUpperCase();
+    case "lowerCase":
+      return renderValue(ctx, value).toLowerCase();
+    case "titleCase":
+      return renderValue(ctx, value).replace(
+        /\b([a-z])/g,
+        (letter) => letter.toUpperCase(),
+      );
+    case "sentenceCase": {
+      const text = renderValue(ctx, value);
+      return text.charAt(0).toUpperCase() + text.slice(1);
+    }
+    case "pluralForm":
+      return pluralize(renderValue(ctx, value));
+    case "singularForm":
+      return singularize(renderValue(ctx, value));
+    default:
+      ctx.warnings.add(`Unsupported property: .${member.name}`);
+      return value;
+  }
+}
+
+function parseArguments(ctx, source) {
+  if (!source.trim()) {
+    return [];
+  }
+  return splitTopLevel(source, ",", true).map((arg) => {
+    const trimmed = arg.trim();
+    const literal = parseLiteral(trimmed);
+    return literal !== null
+      ? literal
+      : renderValue(ctx, evaluateSingleExpression(ctx, trimmed));
+  });
+}
+
+function toArray(ctx, value) {
+  if (Array.isArray(value)) {
+    return value;
+  }
+  return [renderValue(ctx, value)];
+}
+
+function selectMany(ctx, value, args, unique) {
+  let count = args.length ? Number(args[0]) : 1;
+  if (args.length > 1) {
+    const max = Number(args[1]);
+    count = count + Math.floor(ctx.random() * (max - count + 1));
+  }
+  count = Number.isFinite(count) ? Math.max(0, Math.floor(count)) : 1;
+  if (count > MAX_SELECT_COUNT) {
+    ctx.warnings.add(
+      `Selecting at most ${MAX_SELECT_COUNT} items instead of ${count}.`,
+    );
+    count = MAX_SELECT_COUNT;
+  }
+
+  const results = [];
+  const pool = isListValue(value) ? getSelectableItems(value) : null;
+  for (let i = 0; i < count && ctx.steps < MAX_STEPS; i += 1) {
+    if (!pool) {
+      results.push(renderValue(ctx, value));
+      continue;
+    }
+    if (!pool.length) {
+      break;
+    }
+    const item = pickWeighted(ctx, pool, getNodeWeight);
+    if (!item) {
+      break;
+    }
+    results.push(renderItem(ctx, item));
+    if (unique) {
+      pool.splice(pool.indexOf(item), 1);
+    }
+  }
+  return results;
+}
+
+function consumeOne(ctx, consumable) {
+  const item = pickWeighted(ctx, consumable.items, getNodeWeight);
+  if (!item) {
+    ctx.warnings.add("Consumable list ran out of items.");
+    return "";
+  }
+  consumable.items.splice(consumable.items.indexOf(item), 1);
+  return renderItem(ctx, item);
+}
+
+function pluralize(word) {
+  if (/[^aeiou]y$/i.test(word)) {
+    return `${word.slice(0, -1)}ies`;
+  }
+  if (/(s|x|z|ch|sh)$/i.test(word)) {
+    return `${word}es`;
+  }
+  return `${word}s`;
+}
+
+function singularize(word) {
+  if (/ies$/i.test(word)) {
+    return `${word.slice(0, -3)}y`;
+  }
+  if (/(s|x|z|ch|sh)es$/i.test(word)) {
+    return word.slice(0, -2);
+  }
+  if (/[^s]s$/i.test(word)) {
+    return word.slice(0, -1);
+  }
+  return word;
+}
+
+function resolveArticles(text) {
+  const pattern = new RegExp(
+    `${A_AN_MARKER}([aA])${A_AN_MARKER}(\\s*)(\\S?)`,
+    "g",
+  );
+  return text.replace(pattern, (_match, article, space, next) => {
+    const useAn = /[aeiou]/i.test(next);
+    const word = useAn ? `${article}n` : article;
+    return `${word}${space}${next}`;
+  });
+}
+
+module.exports = {
+  runGenerator,
+  runGeneratorText,
+  findOutputListName,
+  createRandom,
+  parseChoiceOptions,
+  parseMemberPath,
+};
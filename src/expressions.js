@@ -0,0 +1,474 @@
+"use strict";
+
+const {
+  getIndentInfo,
+  stripComment,
+  findHtmlStart,
+  isFunctionListStart,
+  findClosingBracket,
+} = require("./syntax");
+
+const IDENTIFIER_REGEX = /^[A-Za-z_$][\w$]*/;
+const MEMBER_REGEX = /^\s*\??\.\s*([A-Za-z_$][\w$]*)/;
+const ASSIGNMENT_REGEX = /^\s*=(?![=>])/;
+const HTML_ID_REGEX = /\bid\s*=\s*["']([^"']+)["']/gi;
+const RAW_HTML_TAG_REGEX = /<(script|style)\b/i;
+const UPDATE_TARGET_REGEX = /\bupdate\s*\(\s*([A-Za-z_$][\w$]*)\s*\)/g;
+const GET_ELEMENT_REGEX = /\bgetElementById\s*\(\s*["']([^"']+)["']\s*\)/g;
+
+const JS_KEYWORDS = new Set([
+  "async",
+  "await",
+  "break",
+  "case",
+  "catch",
+  "class",
+  "const",
+  "continue",
+  "default",
+  "delete",
+  "do",
+  "else",
+  "false",
+  "finally",
+  "for",
+  "function",
+  "if",
+  "in",
+  "instanceof",
+  "let",
+  "new",
+  "null",
+  "of",
+  "return",
+  "switch",
+  "this",
+  "throw",
+  "true",
+  "try",
+  "typeof",
+  "undefined",
+  "var",
+  "void",
+  "while",
+  "yield",
+]);
+
+const JS_GLOBALS = new Set([
+  "Array",
+  "Boolean",
+  "Date",
+  "Infinity",
+  "JSON",
+  "Map",
+  "Math",
+  "NaN",
+  "Number",
+  "Object",
+  "Promise",
+  "RegExp",
+  "Set",
+  "String",
+  "alert",
+  "confirm",
+  "console",
+  "decodeURIComponent",
+  "document",
+  "encodeURIComponent",
+  "fetch",
+  "isNaN",
+  "localStorage",
+  "location",
+  "navigator",
+  "parseFloat",
+  "parseInt",
+  "prompt",
+  "sessionStorage",
+  "setInterval",
+  "setTimeout",
+  "window",
+  "update",
+  "evaluateItem",
+  "createPerchanceTree",
+]);
+
+/**
+ * Finds every top-level `[...]` expression in a line of Perchance text.
+ * `{...}` choices are plain text, so brackets inside them are found too.
+ */
+function findBracketExpressions(text) {
+  const expressions = [];
+
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+    if (char === "\\") {
+      index += 1;
+      continue;
+    }
+    if (char !== "[") {
+      continue;
+    }
+    const end = findClosingBracket(text, index);
+    if (end === -1) {
+      break;
+    }
+    expressions.push({
+      start: index,
+      end: end + 1,
+      source: text.slice(index + 1, end),
+    });
+    index = end;
+  }
+
+  return expressions;
+}
+
+function skipString(source, index) {
+  const quote = source[index];
+  for (let cursor = index + 1; cursor < source.length; cursor += 1) {
+    if (source[cursor] === "\\") {
+      cursor += 1;
+      continue;
+    }
+    if (source[cursor] === quote) {
+      return cursor + 1;
+    }
+  }
+  return source.length;
+}
+
+function readMemberPath(source, index) {
+  const path = [];
+  let cursor = index;
+  let match;
+  while ((match = source.slice(cursor).match(MEMBER_REGEX))) {
+    const end = cursor + match[0].length;
+    path.push({ name: match[1], start: end - match[1].length, end });
+    cursor = end;
+  }
+  return path;
+}
+
+/**
+ * Tokenizes the JavaScript inside one `[...]` expression and returns the
+ * root identifiers that can refer to lists, each with its dotted member
+ * path. Keywords, browser globals, properties, strings, object keys, arrow
+ * function parameters and `let`/`const` declarations are skipped.
+ * Identifiers written as `name = ...` are returned as assignments.
+ * Pass `locals` to share declarations across the lines of a function body.
+ */
+function parseExpressionReferences(source, locals = new Set()) {
+  const references = [];
+  const assignments = [];
+  const parens = [];
+  let lastParen = null;
+  let prev = null;
+  let index = 0;
+
+  while (index < source.length) {
+    const char = source[index];
+
+    if (/\s/.test(char)) {
+      index += 1;
+      continue;
+    }
+
+    if (char === '"' || char === "'" || char === "`") {
+      index = skipString(source, index);
+      prev = "string";
+      continue;
+    }
+
+    if (source.startsWith("//", index)) {
+      break;
+    }
+    if (source.startsWith("/*", index)) {
+      const close = source.indexOf("*/", index + 2);
+      index = close === -1 ? source.length : close + 2;
+      continue;
+    }
+
+    if (/[0-9]/.test(char)) {
+      index += source.slice(index).match(/^[0-9][\w.]*/)[0].length;
+      prev = "number";
+      continue;
+    }
+
+    const identifier = source.slice(index).match(IDENTIFIER_REGEX);
+    if (identifier) {
+      const name = identifier[0];
+      const start = index;
+      index += name.length;
+      const rest = source.slice(index);
+      const isProperty = prev === "." || prev === "?.";
+      const isDeclaration = prev === "let" || prev === "const" || prev === "var";
+      const isObjectKey = /^\s*:/.test(rest) && (prev === "{" || prev === ",");
+      prev = name;
+
+      if (isProperty || isObjectKey || JS_KEYWORDS.has(name)) {
+        continue;
+      }
+      if (isDeclaration || /^\s*=>/.test(rest)) {
+        locals.add(name);
+        continue;
+      }
+      if (locals.has(name)) {
+        continue;
+      }
+
+      const path = readMemberPath(source, index);
+      if (!path.length && ASSIGNMENT_REGEX.test(rest)) {
+        assignments.push({ name, start, end: index });
+        continue;
+      }
+      if (!JS_GLOBALS.has(name)) {
+        references.push({ name, start, end: index, path });
+      }
+      continue;
+    }
+
+    if (source.startsWith("=>", index)) {
+      if (prev === ")" && lastParen) {
+        const params = lastParen;
+        for (let i = references.length - 1; i >= 0; i -= 1) {
+          const ref = references[i];
+          if (ref.start > params.start && ref.end <= params.end) {
+            locals.add(ref.name);
+            references.splice(i, 1);
+          }
+        }
+      }
+      index += 2;
+      prev = "=>";
+      continue;
+    }
+
+    if (source.startsWith("?.", index)) {
+      index += 2;
+      prev = "?.";
+      continue;
+    }
+
+    if (char === "(") {
+      parens.push(index);
+    } else if (char === ")") {
+      const open = parens.pop();
+      lastParen = open === undefined ? null : { start: open, end: index };
+    }
+    index += 1;
+    prev = char;
+  }
+
+  return { references, assignments };
+}
+
+function offsetEntry(entry, line, offset) {
+  const shifted = {
+    ...entry,
+    line,
+    start: entry.start + offset,
+    end: entry.end + offset,
+  };
+  if (entry.path) {
+    shifted.path = entry.path.map((segment) => ({
+      name: segment.name,
+      start: segment.start + offset,
+      end: segment.end + offset,
+    }));
+  }
+  return shifted;
+}
+
+function collectTextReferences(text, line, offset, result) {
+  findBracketExpressions(text).forEach((expression) => {
+    const base = offset + expression.start + 1;
+    const parsed = parseExpressionReferences(expression.source);
+    parsed.references.forEach((ref) => {
+      result.references.push(offsetEntry(ref, line, base));
+    });
+    parsed.assignments.forEach((assignment) => {
+      result.assignments.push(offsetEntry(assignment, line, base));
+    });
+  });
+}
+
+/**
+ * Splits an HTML line into the parts outside `<script>` and `<style>`
+ * blocks, carrying the open block across lines through `state`.
+ */
+function getHtmlTextSegments(line, state) {
+  const segments = [];
+  let cursor = 0;
+
+  while (cursor < line.length) {
+    if (state.rawTag) {
+      const close = line.toLowerCase().indexOf(`</${state.rawTag}`, cursor);
+      if (close === -1) {
+        return segments;
+      }
+      state.rawTag = null;
+      cursor = close;
+      continue;
+    }
+
+    const open = line.slice(cursor).search(RAW_HTML_TAG_REGEX);
+    if (open === -1) {
+      segments.push({ start: cursor, text: line.slice(cursor) });
+      break;
+    }
+
+    const openIndex = cursor + open;
+    segments.push({ start: cursor, text: line.slice(cursor, openIndex) });
+    state.rawTag = line.slice(openIndex).match(RAW_HTML_TAG_REGEX)[1].toLowerCase();
+    const tagEnd = line.indexOf(">", openIndex);
+    cursor = tagEnd === -1 ? line.length : tagEnd + 1;
+  }
+
+  return segments;
+}
+
+/**
+ * Collects `[...]` list references from list items and the HTML panel.
+ * Identifiers in function list bodies are JavaScript, so they are returned
+ * with `inFunction` set; `<script>` and `<style>` blocks are skipped.
+ */
+function collectDocumentReferences(lines) {
+  const htmlStart = findHtmlStart(lines);
+  const result = {
+    references: [],
+    assignments: [],
+    elementIds: new Set(),
+    elements: [],
+  };
+  const htmlState = { rawTag: null };
+  let functionLevel = null;
+  let functionLocals = null;
+
+  for (let index = 0; index < lines.length; index += 1) {
+    const line = lines[index];
+
+    if (index >= htmlStart) {
+      let match;
+      HTML_ID_REGEX.lastIndex = 0;
+      while ((match = HTML_ID_REGEX.exec(line))) {
+        const start = match.index + match[0].lastIndexOf(match[1]);
+        result.elementIds.add(match[1]);
+        result.elements.push({
+          id: match[1],
+          line: index,
+          start,
+          end: start + match[1].length,
+        });
+      }
+      getHtmlTextSegments(line, htmlState).forEach((segment) => {
+        collectTextReferences(segment.text, index, segment.start, result);
+      });
+      continue;
+    }
+
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith("//")) {
+      continue;
+    }
+
+    const { indent, level } = getIndentInfo(line);
+    if (functionLevel !== null && level > functionLevel) {
+      const parsed = parseExpressionReferences(
+        line.slice(indent.length),
+        functionLocals,
+      );
+      parsed.references.forEach((ref) => {
+        result.references.push({
+          ...offsetEntry(ref, index, indent.length),
+          inFunction: true,
+        });
+      });
+      continue;
+    }
+    functionLevel = null;
+
+    const content = stripComment(line.slice(indent.length));
+    if (isFunctionListStart(content.trim())) {
+      functionLevel = level;
+      functionLocals = new Set();
+      continue;
+    }
+    collectTextReferences(content, index, indent.length, result);
+  }
+
+  return result;
+}
+
+function matchElementTargets(text, pattern, line, offset, targets) {
+  let match;
+  pattern.lastIndex = 0;
+  while ((match = pattern.exec(text))) {
+    if (JS_KEYWORDS.has(match[1])) {
+      continue;
+    }
+    const start = offset + match.index + match[0].indexOf(match[1]);
+    targets.push({
+      id: match[1],
+      line,
+      start,
+      end: start + match[1].length,
+    });
+  }
+}
+
+/**
+ * Finds element ids used as targets: `update(someId)` in list items and
+ * HTML attributes, and `getElementById("someId")` anywhere. `update(x)` is
+ * not checked in function lists and `<script>` blocks, where `x` is usually
+ * a local variable.
+ */
+function collectElementTargets(lines) {
+  const htmlStart = findHtmlStart(lines);
+  const htmlState = { rawTag: null };
+  const targets = [];
+  let functionLevel = null;
+
+  lines.forEach((line, index) => {
+    matchElementTargets(line, GET_ELEMENT_REGEX, index, 0, targets);
+
+    if (index >= htmlStart) {
+      getHtmlTextSegments(line, htmlState).forEach((segment) => {
+        matchElementTargets(
+          segment.text,
+          UPDATE_TARGET_REGEX,
+          index,
+          segment.start,
+          targets,
+        );
+      });
+      return;
+    }
+
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith("//")) {
+      return;
+    }
+    const { level } = getIndentInfo(line);
+    if (functionLevel !== null && level > functionLevel) {
+      return;
+    }
+    functionLevel = isFunctionListStart(stripComment(trimmed).trim())
+      ? level
+      : null;
+    if (functionLevel === null) {
+      matchElementTargets(line, UPDATE_TARGET_REGEX, index, 0, targets);
+    }
+  });
+
+  return targets;
+}
+
+module.exports = {
+  JS_GLOBALS,
+  JS_KEYWORDS,
+  findBracketExpressions,
+  parseExpressionReferences,
+  getHtmlTextSegments,
+  collectDocumentReferences,
+  collectElementTargets,
+};
@@ -3,23 +3,97 @@
 const vscode = require("vscode");
 const fs = require("fs");
 const path = require("path");
-const https = require("https");
+const {
+  LIST_BLOCK_HEADER_REGEX,
+  LIST_SHORTHAND_REGEX,
+  DOLLAR_SHORTHAND_REGEX,
+  FUNCTION_HEADER_REGEX,
+  getIndentInfo,
+  countIndentLevel,
+  stripComment,
+  findHtmlStart,
+  parseListName,
+  isFunctionListStart,
+  parseListTree,
+  findListNode,
+  collectImportAliases,
+} = require("./syntax");
+const {
+  getHtmlTextSegments,
+  collectDocumentReferences,
+  collectElementTargets,
+} = require("./expressions");
+const {
+  GENERATOR_GLOB,
+  GENERATOR_EXTENSIONS,
+  createWorkspaceIndex,
+  getGeneratorName,
+  isGeneratorFile,
+} = require("./workspaceIndex");
+const { createJavaScriptService } = require("./javascript");
+const { runGenerator, findOutputListName } = require("./evaluator");
+const { splitGenerator, mergeGenerator } = require("./generatorParts");
+const {
+  DEFAULT_BASE_URL,
+  createGeneratorDownloader,
+} = require("./downloads");
+const {
+  findImports,
+  resolveImportGraph,
+  createLockfile,
+  diffLockfiles,
+} = require("./importLock");
+const {
+  isInsideExpression,
+  findCallContext,
+  formatParameterLabel,
+  formatSignatureLabel,
+  formatPluginMarkdown,
+} = require("./pluginApi");
+const { checkItemOdds, checkChoicePercentages } = require("./odds");
+const { findBracketProblems } = require("./brackets");
+const { formatLists } = require("./formatter");
+const {
+  getItemProbabilities,
+  findListItem,
+  computeStatistics,
+  formatStatisticsMarkdown,
+  formatProbability,
+} = require("./statistics");
+const {
+  buildReferenceGraph,
+  findReachableLists,
+  findDuplicateItems,
+  findInfiniteCycles,
+  findCyclePath,
+} = require("./listGraph");
+const {
+  detectIndentUnit,
+  reindentLines,
+  findClosestName,
+} = require("./listEdits");
+const {
+  getSchemaSections,
+  getPropertyKeys,
+  findKeyOwner,
+  checkPropertyValue,
+} = require("./specialLists");
 
 const LANGUAGE_ID = "perchance";
+const PUBLISHED_SCHEME = "perchance-published";
+const LOCKFILE_NAME = "perchance-lock.json";
+const PROVENANCE_NAME_REGEX = /^\/\/\s*generator\s*:\s*([A-Za-z0-9_-]+)\s*$/i;
+const GENERATOR_NAME_REGEX = /^[A-Za-z0-9_-]+$/;
+const PROVENANCE_URL_REGEX = /((?:https?:\/\/)?(?:www\.)?perchance\.org\/[^\s?#]+)/i;
 const PLUGINS_FILE = path.join("assets", "data", "plugins.json");
+const BUILTINS_FILE = path.join("assets", "data", "builtins.json");
+const SPECIAL_LISTS_FILE = path.join("assets", "data", "special_lists.json");
 const TEMPLATES_FILE = path.join("assets", "data", "templates.json");
 const TEMPLATE_GENERATORS_FILE = path.join(
   "assets",
   "data",
   "template_generators.json",
 );
-const LIST_REF_REGEX = /\[\[([A-Za-z_][A-Za-z0-9_-]*)\]\]/g;
-const LIST_BLOCK_HEADER_REGEX =
-  /^([A-Za-z_][A-Za-z0-9_-]*|\$[A-Za-z_][A-Za-z0-9_-]*)$/;
-const LIST_SHORTHAND_REGEX = /^([A-Za-z_][A-Za-z0-9_-]*)\s*=/;
-const DOLLAR_SHORTHAND_REGEX = /^\$([A-Za-z_][A-Za-z0-9_-]*)\s*=/;
-const FUNCTION_HEADER_REGEX =
-  /^(async\s+)?[A-Za-z_][A-Za-z0-9_$-]*\s*\([^)]*\)\s*=>\s*$/;
 
 const TOP_LEVEL_SNIPPETS = [
   {
@@ -73,83 +147,30 @@ const TOP_LEVEL_SNIPPETS = [
   },
 ];
 
-const META_PROPERTY_KEYS = ["title", "description", "image", "author", "tags"];
-const SETTINGS_PROPERTY_KEYS = [
-  "pageTitle",
-  "introMessage",
-  "underImagesMessage",
-  "numImages",
-  "socialFeatures",
-  "imageButtons",
-  "imageOptions",
+const SPECIAL_LIST_NAMES = [
+  "$meta",
+  "$output",
+  "$preprocess",
+  "settings",
   "userInputs",
+  "imageOptions",
+  "imageButtons",
   "defaultCommentOptions",
   "commentChannels",
   "galleryOptions",
-  "showFeedback",
-  "instruction() =>",
-  "startWith",
-  "hideStartWith",
-  "outputTo",
-  "onChunk() =>",
-  "onStart() =>",
-  "onFinish() =>",
-  "render",
-];
-const USER_INPUT_PROPERTY_KEYS = [
-  "label",
-  "tip",
-  "type",
-  "remember",
-  "parseVariables",
-  "useVariables",
-  "width",
-  "height",
-  "takesUpFullRow",
-  "foldToggleState",
-  "visible() =>",
-  "examples",
-  "random",
-  "randomAppend",
-  "modifiers",
-  "modifierUpdates",
-  "enterKeyTriggersGeneration",
-  "options",
-  "defaultValue",
-];
-const IMAGE_OPTION_KEYS = [
-  "saveTitle",
-  "prompt",
-  "negativePrompt",
-  "resolution",
-  "style",
-];
-const IMAGE_BUTTON_KEYS = ["personality", "privateSave"];
-const COMMENT_OPTION_KEYS = [
-  "width",
-  "height",
-  "commentPlaceholderText",
-  "submitButtonText",
-  "customEmojis",
-  "bannedUsers",
-  "adminPasswordHash",
-];
-const COMMENT_CHANNEL_ITEM_KEYS = [
-  "label",
-  "commentPlaceholderText",
-  "submitButtonText",
 ];
-const COMMENT_CHANNEL_LIST_KEYS = ["allowCustomChannels"];
-const GALLERY_OPTION_KEYS = [
-  "gallery",
-  "sort",
-  "hideIfScoreIsBelow",
-  "adaptiveHeight",
-  "contentFilter",
-  "forceColorScheme",
-  "customButton",
-  "customButton2",
+
+const PROPERTY_VALUE_REGEX = /^\s*([A-Za-z_][A-Za-z0-9_]*)\s*=(\s*)([^\s[{]*)$/;
+const MEMBER_ACCESS_REGEX =
+  /([A-Za-z_$][\w$]*(?:\s*\.\s*[A-Za-z_$][\w$]*)*)\s*\.\s*[\w$]*$/;
+const SEMANTIC_TOKEN_TYPES = [
+  "list",
+  "pluginAlias",
+  "specialList",
+  "property",
+  "function",
 ];
+const SEMANTIC_TOKEN_MODIFIERS = ["declaration", "undefined"];
 const META_LIST_ITEM_SNIPPETS = [
   {
     label: "meta:import",
@@ -178,6 +199,20 @@ function loadPluginData(context) {
   return data && Array.isArray(data.plugins) ? data.plugins : [];
 }
 
+function loadBuiltinData(context) {
+  const data = loadJsonFile(context, BUILTINS_FILE) || {};
+  return {
+    listMembers: Array.isArray(data.listMembers) ? data.listMembers : [],
+    specialLists: Array.isArray(data.specialLists) ? data.specialLists : [],
+    docsLinks: data.docsLinks || {},
+  };
+}
+
+function loadSpecialListSchema(context) {
+  const data = loadJsonFile(context, SPECIAL_LISTS_FILE);
+  return data && data.lists ? data : { lists: {} };
+}
+
 function loadTemplates(context) {
   const data = loadJsonFile(context, TEMPLATES_FILE);
   return data && Array.isArray(data.templates) ? data.templates : [];
@@ -241,28 +276,34 @@ function collectListDefinitions(document) {
 }
 
 function collectListReferences(document) {
-  const references = [];
-
-  for (let lineIndex = 0; lineIndex < document.lineCount; lineIndex += 1) {
-    const line = document.lineAt(lineIndex);
-    const text = line.text;
-    let match;
+  return collectDocumentReferences(document.getText().split(/\r?\n/));
+}
 
-    LIST_REF_REGEX.lastIndex = 0;
-    while ((match = LIST_REF_REGEX.exec(text))) {
-      references.push({
-        name: match[1],
-        line: lineIndex,
-        start: match.index,
-        end: match.index + match[0].length,
-      });
+function findReferenceAt(document, position) {
+  const { references } = collectListReferences(document);
+  for (const reference of references) {
+    if (reference.line !== position.line) {
+      continue;
+    }
+    if (
+      position.character >= reference.start &&
+      position.character <= reference.end
+    ) {
+      return { reference, segmentIndex: -1 };
+    }
+    const segmentIndex = reference.path.findIndex(
+      (segment) =>
+        position.character >= segment.start &&
+        position.character <= segment.end,
+    );
+    if (segmentIndex !== -1) {
+      return { reference, segmentIndex };
     }
   }
-
-  return references;
+  return null;
 }
 
-function updateDiagnostics(document, collection) {
+function updateDiagnostics(document, collection, specialLists) {
   if (document.languageId !== LANGUAGE_ID) {
     return;
   }
@@ -273,11 +314,20 @@ function updateDiagnostics(document, collection) {
     return;
   }
 
-  const diagnostics = analyzeDocument(document, config);
+  const diagnostics = analyzeDocument(document, config, specialLists);
   collection.set(document.uri, diagnostics);
 }
 
-function createCompletionProvider(definitions, pluginItems) {
+function createCompletionProvider(
+  definitions,
+  pluginItems,
+  workspaceIndex,
+  builtins,
+  specialLists,
+) {
+  const pluginsByLabel = new Map(
+    pluginItems.map((plugin) => [plugin.label, plugin]),
+  );
   return {
     provideCompletionItems(document, position) {
       const linePrefix = document
@@ -292,7 +342,21 @@ function createCompletionProvider(definitions, pluginItems) {
       const listContext = getListContext(lines, position.line);
 
       if (/\{import:[A-Za-z0-9_-]*$/i.test(linePrefix)) {
-        return pluginItems.map((item) => {
+        const localItems = workspaceIndex
+          .getEntries()
+          .filter((entry) => entry.uri.toString() !== document.uri.toString())
+          .map((entry) => {
+            const completion = new vscode.CompletionItem(
+              entry.name,
+              vscode.CompletionItemKind.File,
+            );
+            completion.insertText = entry.name;
+            completion.detail = `Local generator (${vscode.workspace.asRelativePath(
+              entry.uri,
+            )})`;
+            return completion;
+          });
+        const pluginCompletions = pluginItems.map((item) => {
           const completion = new vscode.CompletionItem(
             item.label,
             vscode.CompletionItemKind.Module,
@@ -306,6 +370,58 @@ function createCompletionProvider(definitions, pluginItems) {
           }
           return completion;
         });
+        return [...localItems, ...pluginCompletions];
+      }
+
+      const call = findCallContext(linePrefix);
+      if (call && call.optionKey !== null) {
+        const plugin = resolvePluginAlias(
+          document,
+          call.callee,
+          pluginsByLabel,
+        );
+        if (plugin && plugin.api && plugin.api.options) {
+          return plugin.api.options.map((option) => {
+            const completion = new vscode.CompletionItem(
+              option.name,
+              vscode.CompletionItemKind.Property,
+            );
+            completion.insertText = `${option.name}: `;
+            completion.detail = `${option.type} — ${plugin.label} option`;
+            completion.documentation = new vscode.MarkdownString(
+              option.description,
+            );
+            return completion;
+          });
+        }
+      }
+
+      const memberMatch = linePrefix.match(/([A-Za-z_$][\w$]*)\s*\.\s*[\w$]*$/);
+      const imported =
+        memberMatch &&
+        resolveImportAlias(document, memberMatch[1], workspaceIndex);
+      if (imported) {
+        return imported.tree.lists
+          .filter((node) => node.name)
+          .map((node) => {
+            const completion = new vscode.CompletionItem(
+              node.name,
+              node.kind === "function"
+                ? vscode.CompletionItemKind.Function
+                : vscode.CompletionItemKind.Variable,
+            );
+            completion.detail = `List from ${imported.name}`;
+            return completion;
+          });
+      }
+
+      const memberList = findMemberAccessList(lines, position, linePrefix);
+      if (memberList) {
+        return createMemberCompletions(memberList, builtins);
+      }
+
+      if (inHtml) {
+        return createHtmlCompletions(linePrefix, lines, definitions);
       }
 
       // Curly block choice pattern suggestion
@@ -333,6 +449,18 @@ function createCompletionProvider(definitions, pluginItems) {
         });
       }
 
+      if (!inHtml) {
+        const valueItems = createPropertyValueCompletions(
+          linePrefix,
+          listContext,
+          specialLists,
+          lines,
+        );
+        if (valueItems) {
+          return valueItems;
+        }
+      }
+
       const contextualItems = [];
       if (isLineStart && !inHtml) {
         if (indentInfo.level === 0) {
@@ -340,7 +468,7 @@ function createCompletionProvider(definitions, pluginItems) {
         }
 
         contextualItems.push(
-          ...createPropertyCompletions(listContext, indentInfo.level),
+          ...createPropertyCompletions(listContext, specialLists),
         );
 
         if (indentInfo.level > 0) {
@@ -348,13 +476,20 @@ function createCompletionProvider(definitions, pluginItems) {
         }
       }
 
+      const importAliases = collectImportAliases(parseListTree(lines));
       const listItems = Array.from(definitions.keys()).map((name) => {
         const completion = new vscode.CompletionItem(
-          `[[${name}]]`,
+          `[${name}]`,
           vscode.CompletionItemKind.Variable,
         );
-        completion.insertText = `[[${name}]]`;
-        completion.detail = "List reference";
+        completion.insertText = `[${name}]`;
+        const plugin = pluginsByLabel.get(importAliases.get(name));
+        completion.detail = plugin ? `Plugin: ${plugin.label}` : "List reference";
+        if (plugin) {
+          completion.documentation = new vscode.MarkdownString(
+            formatPluginMarkdown(plugin, name),
+          );
+        }
         return completion;
       });
 
@@ -377,6 +512,128 @@ function createCompletionProvider(definitions, pluginItems) {
   };
 }
 
+/**
+ * Resolves `list.sublist.` before the cursor to a local list node when the
+ * cursor is inside a `[...]` expression or a function list body.
+ */
+function findMemberAccessList(lines, position, linePrefix) {
+  const match = linePrefix.match(MEMBER_ACCESS_REGEX);
+  if (!match) {
+    return null;
+  }
+  const tree = parseListTree(lines);
+  const inFunction = tree.lists.some(
+    (node) => node.kind === "function" && node.body.includes(position.line),
+  );
+  if (!inFunction && !isInsideExpression(linePrefix)) {
+    return null;
+  }
+  const [name, ...path] = match[1].split(".").map((part) => part.trim());
+  const node = findListNode(tree, name, path);
+  return node && (node.kind === "list" || node.kind === "shorthand")
+    ? node
+    : null;
+}
+
+function createMemberCompletions(node, builtins) {
+  const sublists = node.children
+    .filter((child) => child.name)
+    .map((child) => {
+      const completion = new vscode.CompletionItem(
+        child.name,
+        child.kind === "function"
+          ? vscode.CompletionItemKind.Function
+          : vscode.CompletionItemKind.Field,
+      );
+      completion.detail = child.kind === "list" ? "Sublist" : "Property";
+      completion.sortText = `0${child.name}`;
+      return completion;
+    });
+
+  const members = builtins.listMembers.map((member) => {
+    const isMethod = member.kind === "method";
+    const completion = new vscode.CompletionItem(
+      member.name,
+      isMethod
+        ? vscode.CompletionItemKind.Method
+        : vscode.CompletionItemKind.Property,
+    );
+    completion.detail = isMethod
+      ? formatSignatureLabel(member.name, member)
+      : "List property";
+    completion.documentation = formatBuiltinMarkdown(
+      member,
+      builtins.docsLinks,
+    );
+    completion.sortText = `1${member.name}`;
+    if (isMethod) {
+      const required = member.parameters.filter((param) => !param.optional);
+      completion.insertText = new vscode.SnippetString(
+        `${member.name}(${required
+          .map((param, index) => `\${${index + 1}:${param.name}}`)
+          .join(", ")})`,
+      );
+      completion.command = {
+        command: "editor.action.triggerParameterHints",
+        title: "Trigger parameter hints",
+      };
+    }
+    return completion;
+  });
+
+  return [...sublists, ...members];
+}
+
+/**
+ * Completions for the HTML panel: element ids inside `update(` and
+ * `getElementById("`, bare list names inside an open `[`, and `[list]`
+ * references elsewhere in text and attributes.
+ */
+function createHtmlCompletions(linePrefix, lines, definitions) {
+  if (
+    /\b(update\s*\(\s*|getElementById\s*\(\s*["'])[\w$-]*$/.test(linePrefix)
+  ) {
+    const ids = new Set(
+      collectDocumentReferences(lines).elements.map((element) => element.id),
+    );
+    return Array.from(ids).map((id) => {
+      const completion = new vscode.CompletionItem(
+        id,
+        vscode.CompletionItemKind.Reference,
+      );
+      completion.detail = "HTML element id";
+      return completion;
+    });
+  }
+
+  const names = Array.from(definitions.keys());
+  if (/\[[^\]]*$/.test(linePrefix)) {
+    if (/\.\s*[\w$]*$/.test(linePrefix)) {
+      // Members of anything but a local list come from the JavaScript service.
+      return [];
+    }
+    return names.map((name) => {
+      const completion = new vscode.CompletionItem(
+        name,
+        vscode.CompletionItemKind.Variable,
+      );
+      completion.detail = "List reference";
+      return completion;
+    });
+  }
+
+  return names.map((name) => {
+    const completion = new vscode.CompletionItem(
+      `[${name}]`,
+      vscode.CompletionItemKind.Variable,
+    );
+    completion.insertText = `[${name}]`;
+    completion.filterText = name;
+    completion.detail = "List reference";
+    return completion;
+  });
+}
+
 function createTopLevelCompletions() {
   return TOP_LEVEL_SNIPPETS.map((snippet) =>
     makeCompletionItem(
@@ -399,129 +656,109 @@ function createMetaListItemCompletions() {
   );
 }
 
-function createPropertyCompletions(listContext, indentLevel) {
-  const items = [];
-  const current = listContext.currentListName;
-  const parent = listContext.parentListName;
-
-  if (current === "$meta") {
-    items.push(
-      ...META_PROPERTY_KEYS.map((key) =>
-        makeCompletionItem(
-          key,
-          `${key} = $0`,
-          "Meta property",
-          vscode.CompletionItemKind.Property,
-        ),
-      ),
-    );
-  }
-
-  if (current === "settings") {
-    items.push(
-      ...SETTINGS_PROPERTY_KEYS.map((key) =>
-        makeCompletionItem(
-          key,
-          key.includes("() =>") ? `${key}\n  $0` : `${key} = $0`,
-          "Settings property",
-          vscode.CompletionItemKind.Property,
-        ),
-      ),
-    );
-  }
-
-  if (parent === "userInputs") {
-    items.push(
-      ...USER_INPUT_PROPERTY_KEYS.map((key) =>
-        makeCompletionItem(
-          key,
-          key.includes("() =>") ? `${key}\n  $0` : `${key} = $0`,
-          "User input property",
-          vscode.CompletionItemKind.Property,
-        ),
-      ),
-    );
-  }
-
-  if (current === "imageOptions") {
-    items.push(
-      ...IMAGE_OPTION_KEYS.map((key) =>
-        makeCompletionItem(
-          key,
-          `${key} = $0`,
-          "Image option",
-          vscode.CompletionItemKind.Property,
-        ),
-      ),
-    );
-  }
-
-  if (current === "imageButtons") {
-    items.push(
-      ...IMAGE_BUTTON_KEYS.map((key) =>
-        makeCompletionItem(
-          key,
-          `${key} = true`,
-          "Image button",
-          vscode.CompletionItemKind.Property,
-        ),
-      ),
-    );
-  }
-
-  if (current === "defaultCommentOptions") {
-    items.push(
-      ...COMMENT_OPTION_KEYS.map((key) =>
-        makeCompletionItem(
-          key,
-          `${key} = $0`,
-          "Comment option",
-          vscode.CompletionItemKind.Property,
-        ),
-      ),
-    );
-  }
+function createPropertyCompletions(listContext, specialLists) {
+  return getSchemaSections(
+    specialLists,
+    listContext.currentListName,
+    listContext.parentListName,
+  ).flatMap((section) =>
+    Object.entries(section.keys).map(([key, definition]) => {
+      let label = key;
+      let insertText = `${key} = $0`;
+      if (definition.type === "function") {
+        label = `${key}() =>`;
+        insertText = `${label}\n  $0`;
+      } else if (definition.type === "boolean") {
+        insertText = `${key} = true`;
+      }
+      const completion = makeCompletionItem(
+        label,
+        insertText,
+        section.detail,
+        vscode.CompletionItemKind.Property,
+      );
+      if (definition.description) {
+        completion.documentation = definition.description;
+      }
+      return completion;
+    }),
+  );
+}
 
-  if (current === "commentChannels") {
-    items.push(
-      ...COMMENT_CHANNEL_LIST_KEYS.map((key) =>
-        makeCompletionItem(
-          key,
-          `${key} = true`,
-          "Comment channel list property",
-          vscode.CompletionItemKind.Property,
-        ),
-      ),
-    );
+/**
+ * Completes the value of a special-list property from its schema entry:
+ * enum values, true/false for booleans, and `[list]` references for keys
+ * that take a list. Returns null when the line is not such a property.
+ */
+function createPropertyValueCompletions(
+  linePrefix,
+  listContext,
+  specialLists,
+  lines,
+) {
+  const match = linePrefix.match(PROPERTY_VALUE_REGEX);
+  if (!match) {
+    return null;
   }
-
-  if (parent === "commentChannels") {
-    items.push(
-      ...COMMENT_CHANNEL_ITEM_KEYS.map((key) =>
-        makeCompletionItem(
-          key,
-          `${key} = $0`,
-          "Comment channel property",
-          vscode.CompletionItemKind.Property,
-        ),
-      ),
-    );
+  const key = match[1];
+  const section = getSchemaSections(
+    specialLists,
+    listContext.currentListName,
+    listContext.parentListName,
+  ).find((entry) => entry.keys[key]);
+  if (!section) {
+    return null;
   }
 
-  if (current === "galleryOptions") {
-    items.push(
-      ...GALLERY_OPTION_KEYS.map((key) =>
-        makeCompletionItem(
-          key,
-          `${key} = $0`,
-          "Gallery option",
-          vscode.CompletionItemKind.Property,
-        ),
-      ),
-    );
+  const definition = section.keys[key];
+  let values = [];
+  if (definition.type === "enum") {
+    values = definition.values.map((entry) => ({
+      label: entry.value,
+      description: entry.description,
+      kind: vscode.CompletionItemKind.EnumMember,
+    }));
+  } else if (definition.type === "boolean") {
+    values = [
+      { label: "true", description: `Turn ${key} on.` },
+      { label: "false", description: `Turn ${key} off.` },
+    ].map((entry) => ({ ...entry, kind: vscode.CompletionItemKind.Value }));
+  } else if (definition.type === "list") {
+    values = parseListTree(lines)
+      .lists.filter(
+        (node) =>
+          node.name &&
+          node.kind !== "function" &&
+          !node.name.startsWith("$") &&
+          !specialLists.lists[node.name],
+      )
+      .map((node) => {
+        const count = node.children.filter(
+          (child) => child.kind === "item",
+        ).length;
+        const items = count === 1 ? "1 item" : `${count} items`;
+        return {
+          label: `[${node.name}]`,
+          description:
+            node.kind === "shorthand"
+              ? `Shorthand list: \`${node.value}\``
+              : `List with ${items}.`,
+          kind: vscode.CompletionItemKind.Reference,
+        };
+      });
   }
 
-  return items;
+  // Without a space after `=`, add one so the value does not touch it.
+  const spacer = match[2] ? "" : " ";
+  return values.map((value, index) => {
+    const completion = new vscode.CompletionItem(value.label, value.kind);
+    completion.insertText = spacer + value.label;
+    completion.filterText = value.label;
+    completion.detail = `${key} value`;
+    completion.documentation = new vscode.MarkdownString(value.description);
+    completion.sortText = String(index).padStart(3, "0");
+    return completion;
+  });
 }
 
 function makeCompletionItem(label, insertText, detail, kind) {
@@ -533,22 +770,17 @@ function makeCompletionItem(label, insertText, detail, kind) {
   return completion;
 }
 
-function getIndentInfo(lineText) {
-  const indentMatch = lineText.match(/^[\t ]*/);
-  const indent = indentMatch ? indentMatch[0] : "";
-  return {
-    indent,
-    level: countIndentLevel(indent),
-  };
-}
-
-function getListContext(lines, lineIndex) {
+/**
+ * Finds the names of the list a line is in and of that list's parent. With
+ * `includeLine` false, a list header on the line itself is not counted.
+ */
+function getListContext(lines, lineIndex, includeLine = true) {
   const lineText = lines[lineIndex] || "";
   const currentIndent = getIndentInfo(lineText).level;
   const listNames = [];
-  let indentLimit = currentIndent + 1;
+  let indentLimit = includeLine ? currentIndent + 1 : currentIndent;
 
-  for (let i = lineIndex; i >= 0; i -= 1) {
+  for (let i = includeLine ? lineIndex : lineIndex - 1; i >= 0; i -= 1) {
     const line = lines[i];
     const trimmed = line.trim();
     if (!trimmed || trimmed.startsWith("//")) {
@@ -586,7 +818,13 @@ function isListHeaderLine(trimmedLine) {
   return isFunctionListStart(trimmedLine);
 }
 
-function createHoverProvider(definitions, pluginsByLabel) {
+function createHoverProvider(
+  definitions,
+  pluginsByLabel,
+  workspaceIndex,
+  builtins,
+  specialLists,
+) {
   return {
     provideHover(document, position) {
       const range = document.getWordRangeAtPosition(
@@ -595,10 +833,82 @@ function createHoverProvider(definitions, pluginsByLabel) {
       );
 
       if (!range) {
-        return undefined;
+        return createItemProbabilityHover(document, position);
       }
 
       const word = document.getText(range);
+      const found = findReferenceAt(document, position);
+
+      const importTarget = findImportTarget(document, position, workspaceIndex);
+      if (importTarget) {
+        const { entry, node, generatorName } = importTarget;
+        if (!entry && pluginsByLabel.has(generatorName)) {
+          const alias = resolvePluginAlias(document, word, pluginsByLabel)
+            ? word
+            : null;
+          return new vscode.Hover(
+            new vscode.MarkdownString(
+              formatPluginMarkdown(pluginsByLabel.get(generatorName), alias),
+            ),
+            range,
+          );
+        }
+        const location = entry
+          ? `\n\nLocal file: ${vscode.workspace.asRelativePath(entry.uri)}`
+          : "\n\nNo local file found for this import.";
+        const markdown = node
+          ? new vscode.MarkdownString(
+              `**List**: ${node.name} (from ${generatorName})`,
+            )
+          : new vscode.MarkdownString(
+              `**Import**: ${generatorName}${location}`,
+            );
+        return new vscode.Hover(markdown, range);
+      }
+
+      if (found && found.segmentIndex !== -1) {
+        const { reference, segmentIndex } = found;
+        const path = reference.path.slice(0, segmentIndex + 1);
+        const tree = parseListTree(document.getText().split(/\r?\n/));
+        if (findListNode(tree, reference.name, path)) {
+          const fullName = [reference.name, ...path.map((s) => s.name)].join(
+            ".",
+          );
+          const markdown = new vscode.MarkdownString(
+            `**Sublist**: ${fullName}`,
+          );
+          return new vscode.Hover(markdown, range);
+        }
+      }
+
+      const builtin = findBuiltinAt(
+        document,
+        position,
+        range,
+        builtins,
+        specialLists,
+      );
+      if (builtin) {
+        return new vscode.Hover(
+          formatBuiltinMarkdown(builtin.entry, builtins.docsLinks),
+          builtin.range,
+        );
+      }
+
+      const plugin = resolvePluginAlias(document, word, pluginsByLabel);
+      if (plugin) {
+        return new vscode.Hover(
+          new vscode.MarkdownString(formatPluginMarkdown(plugin, word)),
+          range,
+        );
+      }
+
+      const itemHover = found
+        ? undefined
+        : createItemProbabilityHover(document, position);
+      if (itemHover) {
+        return itemHover;
+      }
 
       if (definitions.has(word)) {
         const markdown = new vscode.MarkdownString(`**List**: ${word}`);
@@ -618,104 +928,470 @@ function createHoverProvider(definitions, pluginsByLabel) {
   };
 }
 
-function createDefinitionProvider(definitions) {
-  return {
-    provideDefinition(document, position) {
-      const line = document.lineAt(position.line);
-      const lineText = line.text;
-
-      LIST_REF_REGEX.lastIndex = 0;
-      let match;
-      while ((match = LIST_REF_REGEX.exec(lineText))) {
-        const start = match.index;
-        const end = match.index + match[0].length;
-        if (position.character >= start && position.character <= end) {
-          const name = match[1];
-          if (definitions.has(name)) {
-            const target = definitions.get(name);
-            return new vscode.Location(document.uri, target);
-          }
-        }
-      }
+/**
+ * Describes how often the list item under the cursor is picked from its
+ * list, taking the `^weight` odds of its siblings into account.
+ */
+function createItemProbabilityHover(document, position) {
+  const lines = document.getText().split(/\r?\n/);
+  const item = findListItem(parseListTree(lines), position.line);
+  const lineText = lines[position.line];
+  const start = lineText.search(/\S/);
+  if (!item || position.character < start) {
+    return undefined;
+  }
 
-      return undefined;
+  const listName = item.parent.name;
+  const { items, dynamic } = getItemProbabilities(item.parent);
+  const entry = items.find((candidate) => candidate.node === item.node);
+  let markdown;
+  if (dynamic) {
+    markdown = `**Probability**: can't be determined statically; items in \`${listName}\` have \`^[condition]\` odds that depend on the run.`;
+  } else {
+    const total = items.reduce((sum, candidate) => sum + candidate.weight, 0);
+    markdown = `**Probability**: ${formatProbability(
+      entry.probability,
+    )} (weight ${entry.weight} of ${total} in \`${listName}\`)`;
+  }
+  return new vscode.Hover(
+    new vscode.MarkdownString(markdown),
+    new vscode.Range(
+      position.line,
+      start,
+      position.line,
+      lineText.trimEnd().length,
+    ),
+  );
+}
+
+/**
+ * Finds the documented built-in under the cursor: a list member after `.`
+ * in an expression or function list, a special list (`$output`, `$meta`,
+ * `$preprocess`) or a special-list property key (`pageTitle = ...` under
+ * `settings`, and so on), described by special_lists.json.
+ */
+function findBuiltinAt(document, position, range, builtins, specialLists) {
+  const lineText = document.lineAt(position.line).text;
+  const word = document.getText(range);
+  const lines = document.getText().split(/\r?\n/);
+  const prefix = lineText.slice(0, range.start.character);
+
+  if (/\.\s*$/.test(prefix)) {
+    const inFunction = parseListTree(lines).lists.some(
+      (node) => node.kind === "function" && node.body.includes(position.line),
+    );
+    const member = builtins.listMembers.find((entry) => entry.name === word);
+    return member && (inFunction || isInsideExpression(prefix))
+      ? { entry: member, range }
+      : null;
+  }
+
+  if (lineText[range.start.character - 1] === "$") {
+    const entry = builtins.specialLists.find(
+      (special) => special.name === `$${word}`,
+    );
+    if (entry) {
+      return {
+        entry,
+        range: new vscode.Range(
+          range.start.line,
+          range.start.character - 1,
+          range.end.line,
+          range.end.character,
+        ),
+      };
+    }
+  }
+
+  const { indent } = getIndentInfo(lineText);
+  const isKey =
+    indent.length > 0 &&
+    range.start.character === indent.length &&
+    /^\s*(=(?!=)|\(\s*[^)]*\)\s*=>)/.test(
+      lineText.slice(range.end.character),
+    );
+  if (!isKey) {
+    return null;
+  }
+
+  // Skip the key's own line so a `key() =>` header is not taken for the
+  // enclosing list.
+  const { currentListName, parentListName } = getListContext(
+    lines,
+    position.line,
+    false,
+  );
+  const section = getSchemaSections(
+    specialLists,
+    currentListName,
+    parentListName,
+  ).find((entry) => entry.keys[word]);
+  if (!section) {
+    return null;
+  }
+  const definition = section.keys[word];
+  return {
+    entry: {
+      ...definition,
+      name: word,
+      description: definition.description || section.detail,
     },
+    range,
   };
 }
 
-function createFormattingProvider() {
-  return {
-    provideDocumentFormattingEdits(document) {
-      const config = vscode.workspace.getConfiguration("perchance");
-      const indentSize = Math.max(1, config.get("format.indentSize", 2));
-      const trimTrailing = config.get("format.trimTrailingWhitespace", true);
-      const normalizeIndent = config.get("format.normalizeListIndent", true);
-      const edits = [];
-      let inListBlock = false;
-
-      for (let lineIndex = 0; lineIndex < document.lineCount; lineIndex += 1) {
-        const line = document.lineAt(lineIndex);
-        let text = line.text;
-        if (trimTrailing) {
-          text = text.replace(/[\t ]+$/, "");
-        }
-        const trimmed = text.trim();
+function formatBuiltinMarkdown(entry, docsLinks) {
+  const markdown = new vscode.MarkdownString();
+  markdown.appendMarkdown(`**${entry.name}**\n\n${entry.description}\n\n`);
+  if (entry.example) {
+    markdown.appendCodeblock(entry.example, LANGUAGE_ID);
+  }
+  if (entry.docs && docsLinks[entry.docs]) {
+    markdown.appendMarkdown(`\n[Perchance docs](${docsLinks[entry.docs]})`);
+  }
+  return markdown;
+}
 
-        if (!trimmed) {
-          inListBlock = false;
-          continue;
-        }
+function createDefinitionProvider(definitions, workspaceIndex) {
+  return {
+    provideDefinition(document, position) {
+      const importTarget = findImportTarget(document, position, workspaceIndex);
+      if (importTarget && importTarget.entry) {
+        const { entry, node } = importTarget;
+        return new vscode.Location(
+          entry.uri,
+          node
+            ? new vscode.Position(node.line, node.column)
+            : new vscode.Position(0, 0),
+        );
+      }
 
-        if (trimmed.startsWith("//") || trimmed.startsWith("<")) {
-          inListBlock = false;
-          continue;
-        }
+      const lines = document.getText().split(/\r?\n/);
+      const target = collectElementTargets(lines).find(
+        (entry) =>
+          entry.line === position.line &&
+          position.character >= entry.start &&
+          position.character <= entry.end,
+      );
+      if (target) {
+        return findElementLocation(document, lines, target.id);
+      }
 
-        if (LIST_BLOCK_HEADER_REGEX.test(trimmed)) {
-          inListBlock = true;
-          continue;
-        }
+      const found = findReferenceAt(document, position);
+      if (!found) {
+        return undefined;
+      }
 
-        if (inListBlock && /^\s+/.test(text)) {
-          if (normalizeIndent) {
-            const normalized = `${" ".repeat(indentSize)}${trimmed}`;
-            if (text !== normalized) {
-              edits.push(vscode.TextEdit.replace(line.range, normalized));
-            }
-          }
-          continue;
+      const { reference, segmentIndex } = found;
+      if (segmentIndex !== -1) {
+        const tree = parseListTree(document.getText().split(/\r?\n/));
+        const node = findListNode(
+          tree,
+          reference.name,
+          reference.path.slice(0, segmentIndex + 1),
+        );
+        if (node) {
+          return new vscode.Location(
+            document.uri,
+            new vscode.Position(node.line, node.column),
+          );
         }
+      }
 
-        inListBlock = false;
+      if (definitions.has(reference.name)) {
+        const target = definitions.get(reference.name);
+        return new vscode.Location(document.uri, target);
       }
 
-      return edits;
+      return findElementLocation(document, lines, reference.name);
     },
   };
 }
 
-function activate(context) {
-  const pluginData = loadPluginData(context);
-  const pluginsByLabel = new Map(
-    pluginData
-      .filter((plugin) => plugin.label)
-      .map((plugin) => [plugin.label, plugin]),
+function findElementLocation(document, lines, id) {
+  const element = collectDocumentReferences(lines).elements.find(
+    (entry) => entry.id === id,
   );
+  if (!element) {
+    return undefined;
+  }
+  return new vscode.Location(
+    document.uri,
+    new vscode.Range(element.line, element.start, element.line, element.end),
+  );
+}
 
-  const diagnosticCollection =
-    vscode.languages.createDiagnosticCollection(LANGUAGE_ID);
-  context.subscriptions.push(diagnosticCollection);
-
-  const updateDocumentDiagnostics = (document) =>
-    updateDiagnostics(document, diagnosticCollection);
+/**
+ * Returns the plugin data for `alias` when the document binds it with
+ * `alias = {import:plugin-name}` to a plugin in plugins.json. A workspace
+ * generator with the same name does not change the result.
+ */
+function resolvePluginAlias(document, alias, pluginsByLabel) {
+  const tree = parseListTree(document.getText().split(/\r?\n/));
+  const generatorName = collectImportAliases(tree).get(alias);
+  return generatorName ? pluginsByLabel.get(generatorName) || null : null;
+}
 
-  if (vscode.window.activeTextEditor) {
-    updateDocumentDiagnostics(vscode.window.activeTextEditor.document);
-  }
+/**
+ * Signature help for plugin aliases, `alias(...)`, and for built-in list
+ * methods such as `list.selectMany(...)`.
+ */
+function createSignatureHelpProvider(pluginsByLabel, listMembers) {
+  return {
+    provideSignatureHelp(document, position) {
+      const prefix = document
+        .lineAt(position.line)
+        .text.slice(0, position.character);
+      const call = findCallContext(prefix);
+      if (!call) {
+        return undefined;
+      }
+      let signatures = null;
+      if (call.isMember) {
+        const member = listMembers.find(
+          (entry) => entry.kind === "method" && entry.name === call.callee,
+        );
+        signatures = member ? [member] : null;
+      } else {
+        const plugin = resolvePluginAlias(document, call.callee, pluginsByLabel);
+        signatures = plugin && plugin.api && plugin.api.signatures;
+      }
+      if (!signatures || !signatures.length) {
+        return undefined;
+      }
 
-  context.subscriptions.push(
-    vscode.workspace.onDidOpenTextDocument(updateDocumentDiagnostics),
-    vscode.workspace.onDidChangeTextDocument((event) =>
+      const help = new vscode.SignatureHelp();
+      help.signatures = signatures.map((signature) => {
+        const information = new vscode.SignatureInformation(
+          formatSignatureLabel(call.callee, signature),
+          new vscode.MarkdownString(
+            [
+              signature.description,
+              signature.returns && `Returns: ${signature.returns}`,
+            ]
+              .filter(Boolean)
+              .join("\n\n"),
+          ),
+        );
+        information.parameters = (signature.parameters || []).map(
+          (param) =>
+            new vscode.ParameterInformation(
+              formatParameterLabel(param),
+              param.description,
+            ),
+        );
+        return information;
+      });
+      help.activeSignature = 0;
+      const parameterCount = help.signatures[0].parameters.length;
+      help.activeParameter = Math.min(
+        call.argumentIndex,
+        Math.max(parameterCount - 1, 0),
+      );
+      return help;
+    },
+  };
+}
+
+function resolveImportAlias(document, alias, workspaceIndex) {
+  const tree = parseListTree(document.getText().split(/\r?\n/));
+  const generatorName = collectImportAliases(tree).get(alias);
+  return generatorName
+    ? workspaceIndex.resolveImport(generatorName, document.uri)
+    : null;
+}
+
+/**
+ * Resolves what the cursor points at across an import: the generator in
+ * `{import:name}`, an `alias` bound to an import, or a list reached through
+ * `[alias.listName.sublist]`. `entry` is null when there is no local copy.
+ */
+function findImportTarget(document, position, workspaceIndex) {
+  const lineText = document.lineAt(position.line).text;
+  const importPattern = /\{import:([A-Za-z0-9_-]+)\}/gi;
+  let match;
+  while ((match = importPattern.exec(lineText))) {
+    if (
+      position.character >= match.index &&
+      position.character <= match.index + match[0].length
+    ) {
+      return {
+        generatorName: match[1],
+        entry: workspaceIndex.resolveImport(match[1], document.uri),
+        node: null,
+      };
+    }
+  }
+
+  const found = findReferenceAt(document, position);
+  if (!found) {
+    return null;
+  }
+  const { reference, segmentIndex } = found;
+  const tree = parseListTree(document.getText().split(/\r?\n/));
+  const generatorName = collectImportAliases(tree).get(reference.name);
+  if (!generatorName) {
+    return null;
+  }
+
+  const entry = workspaceIndex.resolveImport(generatorName, document.uri);
+  if (segmentIndex === -1 || !entry) {
+    return { generatorName, entry, node: null };
+  }
+  const [first, ...rest] = reference.path.slice(0, segmentIndex + 1);
+  const node = findListNode(entry.tree, first.name, rest);
+  return node ? { generatorName, entry, node } : null;
+}
+
+function createWorkspaceSymbolProvider(workspaceIndex) {
+  return {
+    provideWorkspaceSymbols(query) {
+      const symbols = [];
+      const needle = query.toLowerCase();
+      const visit = (entry, node, containerName) => {
+        if (!node.name || node.kind === "item") {
+          return;
+        }
+        if (matchesQuery(node.name.toLowerCase(), needle)) {
+          symbols.push(
+            new vscode.SymbolInformation(
+              node.name,
+              node.kind === "function"
+                ? vscode.SymbolKind.Function
+                : vscode.SymbolKind.Array,
+              containerName,
+              new vscode.Location(
+                entry.uri,
+                new vscode.Position(node.line, node.column),
+              ),
+            ),
+          );
+        }
+        node.children.forEach((child) =>
+          visit(entry, child, `${containerName}.${node.name}`),
+        );
+      };
+
+      workspaceIndex.getEntries().forEach((entry) => {
+        entry.tree.lists.forEach((node) => visit(entry, node, entry.name));
+      });
+      return symbols;
+    },
+  };
+}
+
+function matchesQuery(name, query) {
+  let index = 0;
+  for (const char of name) {
+    if (char === query[index]) {
+      index += 1;
+    }
+  }
+  return index === query.length;
+}
+
+function registerWorkspaceIndex(context, workspaceIndex, outputChannel) {
+  const refresh = () =>
+    workspaceIndex.refresh().catch((error) => {
+      outputChannel.appendLine(
+        `[workspace] Failed to index generators: ${
+          error instanceof Error ? error.message : String(error)
+        }`,
+      );
+    });
+  const watcher = vscode.workspace.createFileSystemWatcher(GENERATOR_GLOB);
+  watcher.onDidCreate((uri) => workspaceIndex.indexFile(uri));
+  watcher.onDidChange((uri) => workspaceIndex.indexFile(uri));
+  watcher.onDidDelete((uri) => workspaceIndex.remove(uri));
+
+  context.subscriptions.push(
+    watcher,
+    vscode.workspace.onDidChangeTextDocument((event) => {
+      const { document } = event;
+      if (
+        document.languageId === LANGUAGE_ID &&
+        document.uri.scheme === "file" &&
+        isGeneratorFile(document.uri)
+      ) {
+        workspaceIndex.indexText(document.uri, document.getText());
+      }
+    }),
+    vscode.workspace.onDidChangeConfiguration((event) => {
+      if (event.affectsConfiguration("perchance.imports")) {
+        refresh();
+      }
+    }),
+    vscode.languages.registerWorkspaceSymbolProvider(
+      createWorkspaceSymbolProvider(workspaceIndex),
+    ),
+  );
+
+  refresh();
+}
+
+function getFormatOptions() {
+  const config = vscode.workspace.getConfiguration("perchance");
+  const indentSize = Math.max(1, config.get("format.indentSize", 2));
+  return {
+    unit: config.get("format.useTabs", false) ? "\t" : " ".repeat(indentSize),
+    trimTrailing: config.get("format.trimTrailingWhitespace", true),
+    normalizeIndent: config.get("format.normalizeListIndent", true),
+    spaceAroundEquals: config.get("format.spaceAroundEquals", true),
+  };
+}
+
+function createFormattingProvider() {
+  const format = (document, startLine, endLine) => {
+    const lines = document.getText().split(/\r?\n/);
+    return formatLists(lines, getFormatOptions(), startLine, endLine).map(
+      ({ line, text }) =>
+        vscode.TextEdit.replace(document.lineAt(line).range, text),
+    );
+  };
+
+  return {
+    provideDocumentFormattingEdits(document) {
+      return format(document);
+    },
+    provideDocumentRangeFormattingEdits(document, range) {
+      return format(document, range.start.line, range.end.line);
+    },
+    // After Enter, tidy the line that was just finished; the new line
+    // already has the indentation from the language configuration.
+    provideOnTypeFormattingEdits(document, position) {
+      if (position.line === 0) {
+        return [];
+      }
+      return format(document, position.line - 1, position.line - 1);
+    },
+  };
+}
+
+function activate(context) {
+  const pluginData = loadPluginData(context);
+  const builtins = loadBuiltinData(context);
+  const specialLists = loadSpecialListSchema(context);
+  const pluginsByLabel = new Map(
+    pluginData
+      .filter((plugin) => plugin.label)
+      .map((plugin) => [plugin.label, plugin]),
+  );
+
+  const outputChannel = vscode.window.createOutputChannel("Perchance");
+  const diagnosticCollection =
+    vscode.languages.createDiagnosticCollection(LANGUAGE_ID);
+  context.subscriptions.push(outputChannel, diagnosticCollection);
+
+  const updateDocumentDiagnostics = (document) =>
+    updateDiagnostics(document, diagnosticCollection, specialLists);
+
+  if (vscode.window.activeTextEditor) {
+    updateDocumentDiagnostics(vscode.window.activeTextEditor.document);
+  }
+
+  context.subscriptions.push(
+    vscode.workspace.onDidOpenTextDocument(updateDocumentDiagnostics),
+    vscode.workspace.onDidChangeTextDocument((event) =>
       updateDocumentDiagnostics(event.document),
     ),
     vscode.workspace.onDidCloseTextDocument((document) =>
@@ -731,6 +1407,8 @@ function activate(context) {
   );
 
   const selector = { language: LANGUAGE_ID, scheme: "file" };
+  const workspaceIndex = createWorkspaceIndex();
+  registerWorkspaceIndex(context, workspaceIndex, outputChannel);
 
   context.subscriptions.push(
     vscode.languages.registerCompletionItemProvider(
@@ -741,6 +1419,9 @@ function activate(context) {
           const completionProvider = createCompletionProvider(
             definitions,
             pluginData,
+            workspaceIndex,
+            builtins,
+            specialLists,
           );
           return completionProvider.provideCompletionItems(document, position);
         },
@@ -748,6 +1429,8 @@ function activate(context) {
       ":",
       "[",
       "{",
+      ".",
+      "(",
     ),
   );
 
@@ -755,10 +1438,13 @@ function activate(context) {
     vscode.languages.registerHoverProvider(selector, {
       provideHover(document, position) {
         const definitions = collectListDefinitions(document);
-        return createHoverProvider(definitions, pluginsByLabel).provideHover(
-          document,
-          position,
-        );
+        return createHoverProvider(
+          definitions,
+          pluginsByLabel,
+          workspaceIndex,
+          builtins,
+          specialLists,
+        ).provideHover(document, position);
       },
     }),
   );
@@ -767,24 +1453,48 @@ function activate(context) {
     vscode.languages.registerDefinitionProvider(selector, {
       provideDefinition(document, position) {
         const definitions = collectListDefinitions(document);
-        return createDefinitionProvider(definitions).provideDefinition(
-          document,
-          position,
-        );
+        return createDefinitionProvider(
+          definitions,
+          workspaceIndex,
+        ).provideDefinition(document, position);
       },
     }),
   );
 
+  context.subscriptions.push(
+    vscode.languages.registerSignatureHelpProvider(
+      selector,
+      createSignatureHelpProvider(pluginsByLabel, builtins.listMembers),
+      "(",
+      ",",
+    ),
+  );
+
+  const formattingProvider = createFormattingProvider();
   context.subscriptions.push(
     vscode.languages.registerDocumentFormattingEditProvider(
       selector,
-      createFormattingProvider(),
+      formattingProvider,
+    ),
+    vscode.languages.registerDocumentRangeFormattingEditProvider(
+      selector,
+      formattingProvider,
+    ),
+    vscode.languages.registerOnTypeFormattingEditProvider(
+      selector,
+      formattingProvider,
+      "\n",
     ),
   );
 
   registerCodeActions(context);
   registerFoldingProvider(context);
-  registerCommands(context);
+  registerSymbolProvider(context);
+  registerReferenceProviders(context);
+  registerSemanticTokensProvider(context, specialLists);
+  registerItemProbabilityHints(context);
+  registerJavaScriptFeatures(context, outputChannel);
+  registerCommands(context, outputChannel);
 }
 
 function deactivate() {}
@@ -804,6 +1514,44 @@ function registerCodeActions(context) {
             actions.push(fix);
           }
         }
+        if (diagnostic.data?.replacement) {
+          actions.push(createChoicePercentFix(document, diagnostic));
+        }
+        if (diagnostic.code === "perchance.unknownListReference") {
+          actions.push(
+            ...[
+              createDidYouMeanFix(document, diagnostic),
+              createStubListFix(document, diagnostic),
+            ].filter(Boolean),
+          );
+        }
+        if (diagnostic.code === "perchance.duplicateListName") {
+          const fix = createMergeListsFix(document, diagnostic);
+          if (fix) {
+            actions.push(fix);
+          }
+        }
+        if (
+          diagnostic.code === "perchance.unreachableList" ||
+          diagnostic.code === "perchance.emptyList"
+        ) {
+          const fix = createRemoveListFix(document, diagnostic);
+          if (fix) {
+            actions.push(fix);
+          }
+        }
+        if (diagnostic.code === "perchance.duplicateItem") {
+          actions.push(createRemoveItemFix(document, diagnostic));
+        }
+        if (
+          diagnostic.code === "perchance.indentationMixed" ||
+          diagnostic.code === "perchance.indentationSpacing"
+        ) {
+          const fix = createReindentListFix(document, diagnostic);
+          if (fix) {
+            actions.push(fix);
+          }
+        }
       }
 
       return actions;
@@ -859,36 +1607,692 @@ function registerFoldingProvider(context) {
   );
 }
 
-function analyzeDocument(document, config) {
+function registerSymbolProvider(context) {
+  const provider = {
+    provideDocumentSymbols(document) {
+      if (document.languageId !== LANGUAGE_ID) {
+        return [];
+      }
+
+      const lines = document.getText().split(/\r?\n/);
+      const tree = parseListTree(lines);
+      const symbols = tree.lists
+        .map((node) => createListSymbol(document, node, true))
+        .filter(Boolean);
+
+      if (tree.htmlStart < lines.length) {
+        const lastLine = lines.length - 1;
+        const start = new vscode.Position(tree.htmlStart, 0);
+        symbols.push(
+          new vscode.DocumentSymbol(
+            "HTML",
+            "HTML panel",
+            vscode.SymbolKind.Namespace,
+            new vscode.Range(start, document.lineAt(lastLine).range.end),
+            new vscode.Range(start, document.lineAt(tree.htmlStart).range.end),
+          ),
+        );
+      }
+
+      return symbols;
+    },
+  };
+
+  context.subscriptions.push(
+    vscode.languages.registerDocumentSymbolProvider(LANGUAGE_ID, provider),
+  );
+}
+
+function createListSymbol(document, node, isTopLevel) {
+  if (node.kind === "item" || !node.name) {
+    return null;
+  }
+
+  let kind = vscode.SymbolKind.Array;
+  let detail = isTopLevel ? "List" : "Sublist";
+  if (node.kind === "function") {
+    kind = isTopLevel ? vscode.SymbolKind.Function : vscode.SymbolKind.Method;
+    detail = "Function list";
+  } else if (isTopLevel && SPECIAL_LIST_NAMES.includes(node.name)) {
+    kind = vscode.SymbolKind.Module;
+    detail = "Special list";
+  } else if (node.kind === "shorthand") {
+    kind = isTopLevel
+      ? vscode.SymbolKind.Variable
+      : vscode.SymbolKind.Property;
+    detail = node.value;
+  }
+
+  const nameStart = document
+    .lineAt(node.line)
+    .text.indexOf(node.name, node.column);
+  const selectionStart = nameStart === -1 ? node.column : nameStart;
+  const symbol = new vscode.DocumentSymbol(
+    node.name,
+    detail,
+    kind,
+    new vscode.Range(
+      new vscode.Position(node.line, node.column),
+      document.lineAt(node.endLine).range.end,
+    ),
+    new vscode.Range(
+      node.line,
+      selectionStart,
+      node.line,
+      selectionStart + node.name.length,
+    ),
+  );
+
+  node.children.forEach((child) => {
+    const childSymbol = createListSymbol(document, child, false);
+    if (childSymbol) {
+      symbol.children.push(childSymbol);
+    }
+  });
+
+  return symbol;
+}
+
+function findListNameAt(document, position) {
+  const found = findReferenceAt(document, position);
+  if (found && found.segmentIndex === -1) {
+    const { reference } = found;
+    return {
+      name: reference.name,
+      range: new vscode.Range(
+        reference.line,
+        reference.start,
+        reference.line,
+        reference.end,
+      ),
+    };
+  }
+
+  const tree = parseListTree(document.getText().split(/\r?\n/));
+  const header = tree.lists.find(
+    (node) => node.line === position.line && node.name,
+  );
+  if (header) {
+    const range = getListNameRange(document, header);
+    if (range.contains(position)) {
+      return { name: header.name, range };
+    }
+  }
+
+  return null;
+}
+
+function getListNameRange(document, node) {
+  const start = document.lineAt(node.line).text.indexOf(node.name, node.column);
+  const column = start === -1 ? node.column : start;
+  return new vscode.Range(
+    node.line,
+    column,
+    node.line,
+    column + node.name.length,
+  );
+}
+
+function collectListOccurrences(document, name) {
+  const tree = parseListTree(document.getText().split(/\r?\n/));
+  const declarations = tree.lists
+    .filter((node) => node.name === name)
+    .map((node) => getListNameRange(document, node));
+  const references = collectListReferences(document)
+    .references.filter((reference) => reference.name === name)
+    .map(
+      (reference) =>
+        new vscode.Range(
+          reference.line,
+          reference.start,
+          reference.line,
+          reference.end,
+        ),
+    );
+  return { declarations, references };
+}
+
+function registerReferenceProviders(context) {
+  const referenceProvider = {
+    provideReferences(document, position, referenceContext) {
+      const target = findListNameAt(document, position);
+      if (!target) {
+        return [];
+      }
+
+      const { declarations, references } = collectListOccurrences(
+        document,
+        target.name,
+      );
+      const ranges = referenceContext.includeDeclaration
+        ? [...declarations, ...references]
+        : references;
+      return ranges.map((range) => new vscode.Location(document.uri, range));
+    },
+  };
+
+  const renameProvider = {
+    prepareRename(document, position) {
+      const target = findListNameAt(document, position);
+      if (!target || !collectListDefinitions(document).has(target.name)) {
+        throw new Error("Only defined list names can be renamed.");
+      }
+      return { range: target.range, placeholder: target.name };
+    },
+
+    provideRenameEdits(document, position, newName) {
+      const target = findListNameAt(document, position);
+      if (!target) {
+        return undefined;
+      }
+
+      const name = newName.trim();
+      if (!LIST_BLOCK_HEADER_REGEX.test(name)) {
+        throw new Error(`"${name}" is not a valid list name.`);
+      }
+      if (name === target.name) {
+        return undefined;
+      }
+      const { assignments } = collectListReferences(document);
+      if (
+        collectListDefinitions(document).has(name) ||
+        assignments.some((assignment) => assignment.name === name)
+      ) {
+        throw new Error(`A list or variable named "${name}" already exists.`);
+      }
+
+      const { declarations, references } = collectListOccurrences(
+        document,
+        target.name,
+      );
+      const edit = new vscode.WorkspaceEdit();
+      [...declarations, ...references].forEach((range) => {
+        edit.replace(document.uri, range, name);
+      });
+      return edit;
+    },
+  };
+
+  context.subscriptions.push(
+    vscode.languages.registerReferenceProvider(LANGUAGE_ID, referenceProvider),
+    vscode.languages.registerRenameProvider(LANGUAGE_ID, renameProvider),
+  );
+}
+
+function registerSemanticTokensProvider(context, specialLists) {
+  const legend = new vscode.SemanticTokensLegend(
+    SEMANTIC_TOKEN_TYPES,
+    SEMANTIC_TOKEN_MODIFIERS,
+  );
+
+  const provider = {
+    provideDocumentSemanticTokens(document) {
+      const builder = new vscode.SemanticTokensBuilder(legend);
+      collectSemanticTokens(document, specialLists)
+        .sort((a, b) => a.line - b.line || a.start - b.start)
+        .forEach((token) => {
+          const modifiers = token.modifiers.reduce(
+            (bits, modifier) =>
+              bits | (1 << SEMANTIC_TOKEN_MODIFIERS.indexOf(modifier)),
+            0,
+          );
+          builder.push(
+            token.line,
+            token.start,
+            token.length,
+            SEMANTIC_TOKEN_TYPES.indexOf(token.type),
+            modifiers,
+          );
+        });
+      return builder.build();
+    },
+  };
+
+  context.subscriptions.push(
+    vscode.languages.registerDocumentSemanticTokensProvider(
+      { language: LANGUAGE_ID },
+      provider,
+      legend,
+    ),
+  );
+}
+
+function registerItemProbabilityHints(context) {
+  const changes = new vscode.EventEmitter();
+  const provider = {
+    onDidChangeInlayHints: changes.event,
+    provideInlayHints(document, range) {
+      const config = vscode.workspace.getConfiguration("perchance");
+      if (!config.get("lists.showItemProbabilities", false)) {
+        return [];
+      }
+      const lines = document.getText().split(/\r?\n/);
+      const hints = [];
+      const visit = (node) => {
+        const { items, dynamic } = getItemProbabilities(node);
+        // Lists without odds are uniform, so hints would only add noise.
+        const weighted = items.some((item) => item.weight !== 1);
+        items.forEach((item) => {
+          const line = item.node.line;
+          const inRange = line >= range.start.line && line <= range.end.line;
+          if (weighted && !dynamic && inRange) {
+            const hint = new vscode.InlayHint(
+              new vscode.Position(line, lines[line].trimEnd().length),
+              formatProbability(item.probability),
+            );
+            hint.paddingLeft = true;
+            hints.push(hint);
+          }
+          if (item.node.kind === "list") {
+            visit(item.node);
+          }
+        });
+      };
+      parseListTree(lines)
+        .lists.filter((node) => node.kind === "list")
+        .forEach(visit);
+      return hints;
+    },
+  };
+
+  context.subscriptions.push(
+    changes,
+    vscode.languages.registerInlayHintsProvider(
+      { language: LANGUAGE_ID },
+      provider,
+    ),
+    vscode.workspace.onDidChangeConfiguration((event) => {
+      if (event.affectsConfiguration("perchance.lists.showItemProbabilities")) {
+        changes.fire();
+      }
+    }),
+  );
+}
+
+function collectSemanticTokens(document, specialLists) {
+  const lines = document.getText().split(/\r?\n/);
+  const tree = parseListTree(lines);
+  const imports = collectImportAliases(tree);
+  const definitions = collectListDefinitions(document);
+  const { references, assignments, elementIds } =
+    collectListReferences(document);
+  const variables = new Set(assignments.map((assignment) => assignment.name));
+  const tokens = [];
+
+  const getListType = (name) => {
+    if (imports.has(name)) {
+      return "pluginAlias";
+    }
+    if (SPECIAL_LIST_NAMES.includes(name)) {
+      return "specialList";
+    }
+    const node = tree.lists.find((list) => list.name === name);
+    return node && node.kind === "function" ? "function" : "list";
+  };
+
+  const visit = (node, parent, grandparent) => {
+    if (!node.name || node.kind === "item") {
+      return;
+    }
+    const range = getListNameRange(document, node);
+    let type;
+    if (!parent) {
+      type = getListType(node.name);
+    } else if (
+      getPropertyKeys(
+        specialLists,
+        parent.name,
+        grandparent && grandparent.name,
+      ).includes(node.name)
+    ) {
+      type = node.kind === "function" ? "function" : "property";
+    } else {
+      type = node.kind === "function" ? "function" : "list";
+    }
+    tokens.push({
+      line: range.start.line,
+      start: range.start.character,
+      length: node.name.length,
+      type,
+      modifiers: ["declaration"],
+    });
+    node.children.forEach((child) => visit(child, node, parent));
+  };
+  tree.lists.forEach((node) => visit(node, null, null));
+
+  references.forEach((reference) => {
+    const isDefined = definitions.has(reference.name);
+    if (variables.has(reference.name) || elementIds.has(reference.name)) {
+      return;
+    }
+    if (reference.inFunction && !isDefined) {
+      return;
+    }
+    tokens.push({
+      line: reference.line,
+      start: reference.start,
+      length: reference.end - reference.start,
+      type: getListType(reference.name),
+      modifiers: isDefined ? [] : ["undefined"],
+    });
+
+    reference.path.forEach((segment, index) => {
+      const node = findListNode(
+        tree,
+        reference.name,
+        reference.path.slice(0, index + 1),
+      );
+      if (node && node.kind !== "item") {
+        tokens.push({
+          line: reference.line,
+          start: segment.start,
+          length: segment.end - segment.start,
+          type: node.kind === "function" ? "function" : "list",
+          modifiers: [],
+        });
+      }
+    });
+  });
+
+  return tokens;
+}
+
+function loadTypeScript() {
+  try {
+    return require("typescript");
+  } catch (error) {
+    return null;
+  }
+}
+
+const TS_COMPLETION_KINDS = {
+  function: "Function",
+  "local function": "Function",
+  method: "Method",
+  property: "Property",
+  getter: "Property",
+  setter: "Property",
+  var: "Variable",
+  "local var": "Variable",
+  let: "Variable",
+  const: "Constant",
+  parameter: "Variable",
+  keyword: "Keyword",
+  class: "Class",
+  interface: "Interface",
+  module: "Module",
+  enum: "Enum",
+};
+
+function registerJavaScriptFeatures(context, outputChannel) {
+  const ts = loadTypeScript();
+  if (!ts) {
+    const message =
+      "JavaScript completion, hover and diagnostics are off because the typescript package could not be loaded.";
+    outputChannel.appendLine(`[javascript] ${message}`);
+    vscode.window.showWarningMessage(`Perchance: ${message}`);
+    return;
+  }
+
+  const registry = ts.createDocumentRegistry();
+  const services = new Map();
+  const timers = new Map();
+  const collection = vscode.languages.createDiagnosticCollection(
+    `${LANGUAGE_ID}-javascript`,
+  );
+
+  const getService = (document) => {
+    const key = document.uri.toString();
+    let entry = services.get(key);
+    if (!entry) {
+      entry = { service: createJavaScriptService(ts, registry), version: -1 };
+      services.set(key, entry);
+    }
+    if (entry.version !== document.version) {
+      entry.service.update(document.getText().split(/\r?\n/));
+      entry.version = document.version;
+    }
+    return entry.service;
+  };
+
+  const updateJavaScriptDiagnostics = (document) => {
+    const config = vscode.workspace.getConfiguration("perchance");
+    if (!config.get("javascript.enableDiagnostics", true)) {
+      collection.delete(document.uri);
+      return;
+    }
+    const diagnostics = getService(document)
+      .getDiagnostics()
+      .map((entry) => {
+        const diagnostic = new vscode.Diagnostic(
+          new vscode.Range(entry.line, entry.start, entry.line, entry.end),
+          entry.message,
+          entry.isError
+            ? vscode.DiagnosticSeverity.Error
+            : vscode.DiagnosticSeverity.Warning,
+        );
+        diagnostic.source = "javascript";
+        diagnostic.code = entry.code;
+        return diagnostic;
+      });
+    collection.set(document.uri, diagnostics);
+  };
+
+  const scheduleDiagnostics = (document) => {
+    if (document.languageId !== LANGUAGE_ID) {
+      return;
+    }
+    const key = document.uri.toString();
+    clearTimeout(timers.get(key));
+    timers.set(
+      key,
+      setTimeout(() => {
+        timers.delete(key);
+        updateJavaScriptDiagnostics(document);
+      }, 300),
+    );
+  };
+
+  const completionProvider = {
+    provideCompletionItems(document, position) {
+      const linePrefix = document
+        .lineAt(position.line)
+        .text.slice(0, position.character);
+      const lines = document.getText().split(/\r?\n/);
+      if (findMemberAccessList(lines, position, linePrefix)) {
+        // Sublists and built-in members are offered by the main provider.
+        return undefined;
+      }
+      const entries = getService(document).getCompletions(
+        position.line,
+        position.character,
+      );
+      if (!entries) {
+        return undefined;
+      }
+      // List names are offered by the main provider.
+      const definitions = collectListDefinitions(document);
+      return entries
+        .filter((entry) => !definitions.has(entry.name))
+        .map((entry) => {
+          const completion = new vscode.CompletionItem(
+            entry.name,
+            vscode.CompletionItemKind[
+              TS_COMPLETION_KINDS[entry.kind] || "Text"
+            ],
+          );
+          completion.sortText = entry.sortText;
+          return completion;
+        });
+    },
+  };
+
+  const hoverProvider = {
+    provideHover(document, position) {
+      const range = document.getWordRangeAtPosition(position);
+      const linePrefix = document
+        .lineAt(position.line)
+        .text.slice(0, range ? range.start.character : position.character);
+      const lines = document.getText().split(/\r?\n/);
+      if (findMemberAccessList(lines, position, linePrefix)) {
+        // Built-in members are documented by the main hover provider.
+        return undefined;
+      }
+      // So are list names and `[list.path]` references.
+      if (
+        findReferenceAt(document, position) ||
+        (range && collectListDefinitions(document).has(document.getText(range)))
+      ) {
+        return undefined;
+      }
+      const info = getService(document).getQuickInfo(
+        position.line,
+        position.character,
+      );
+      if (!info) {
+        return undefined;
+      }
+      const markdown = new vscode.MarkdownString();
+      markdown.appendCodeblock(info.signature, "typescript");
+      if (info.documentation) {
+        markdown.appendMarkdown(`\n${info.documentation}`);
+      }
+      return new vscode.Hover(markdown);
+    },
+  };
+
+  const closeDocument = (document) => {
+    const key = document.uri.toString();
+    clearTimeout(timers.get(key));
+    timers.delete(key);
+    if (services.has(key)) {
+      services.get(key).service.dispose();
+      services.delete(key);
+    }
+    collection.delete(document.uri);
+  };
+
+  context.subscriptions.push(
+    collection,
+    vscode.languages.registerCompletionItemProvider(
+      LANGUAGE_ID,
+      completionProvider,
+      ".",
+    ),
+    vscode.languages.registerHoverProvider(LANGUAGE_ID, hoverProvider),
+    vscode.workspace.onDidOpenTextDocument(scheduleDiagnostics),
+    vscode.workspace.onDidChangeTextDocument((event) =>
+      scheduleDiagnostics(event.document),
+    ),
+    vscode.workspace.onDidCloseTextDocument(closeDocument),
+    vscode.workspace.onDidChangeConfiguration((event) => {
+      if (event.affectsConfiguration("perchance.javascript")) {
+        vscode.workspace.textDocuments.forEach(scheduleDiagnostics);
+      }
+    }),
+    {
+      dispose: () => {
+        timers.forEach((timer) => clearTimeout(timer));
+        services.forEach((entry) => entry.service.dispose());
+        services.clear();
+      },
+    },
+  );
+
+  vscode.workspace.textDocuments.forEach(scheduleDiagnostics);
+}
+
+function analyzeDocument(document, config, specialLists) {
   const diagnostics = [];
   const definitions = collectListDefinitions(document);
-  const references = collectListReferences(document);
+  const { references, assignments, elementIds } =
+    collectListReferences(document);
+  const variables = new Set(assignments.map((assignment) => assignment.name));
   const checkDuplicates = config.get("lists.checkDuplicateNames", true);
   const checkIndentation = config.get("lists.checkIndentation", true);
   const checkIfElseEquals = config.get("lists.checkSingleEqualsInIf", true);
+  const checkOdds = config.get("lists.checkOdds", true);
+  const checkBrackets = config.get("lists.checkBrackets", true);
+  const checkSpecialLists = config.get("lists.checkSpecialLists", true);
+  const checkUnused = config.get("lists.checkUnused", true);
+  const checkRecursion = config.get("lists.checkRecursion", true);
+  const lines = document.getText().split(/\r?\n/);
+  const htmlStart = findHtmlStart(lines);
+  const tree = parseListTree(lines);
+  const hasOutputList =
+    definitions.has("output") ||
+    tree.lists.some((node) => node.name === "$output");
+  const elementTargets = config.get("html.checkElementIds", true)
+    ? collectElementTargets(lines)
+    : [];
+  const isElementTarget = (ref) =>
+    elementTargets.some(
+      (target) => target.line === ref.line && target.start === ref.start,
+    );
 
   references.forEach((ref) => {
-    if (!definitions.has(ref.name)) {
-      const range = new vscode.Range(
-        new vscode.Position(ref.line, ref.start),
-        new vscode.Position(ref.line, ref.end),
-      );
+    if (ref.name === "output" && ref.line >= htmlStart) {
+      if (!hasOutputList) {
+        diagnostics.push(
+          createDiagnostic(
+            ref.line,
+            ref.start,
+            ref.end,
+            "The HTML uses [output] but no $output or output list is defined.",
+            "perchance.missingOutputList",
+          ),
+        );
+      }
+      return;
+    }
+    if (
+      !ref.inFunction &&
+      !definitions.has(ref.name) &&
+      !variables.has(ref.name) &&
+      !elementIds.has(ref.name) &&
+      !isElementTarget(ref)
+    ) {
       diagnostics.push(
-        new vscode.Diagnostic(
-          range,
+        createDiagnostic(
+          ref.line,
+          ref.start,
+          ref.end,
           `Unknown list reference: ${ref.name}`,
-          vscode.DiagnosticSeverity.Warning,
+          "perchance.unknownListReference",
+          { name: ref.name },
+        ),
+      );
+    }
+  });
+
+  elementTargets.forEach((target) => {
+    if (!elementIds.has(target.id)) {
+      diagnostics.push(
+        createDiagnostic(
+          target.line,
+          target.start,
+          target.end,
+          `No element with id "${target.id}" in the HTML panel.`,
+          "perchance.unknownElementId",
+          { id: target.id },
         ),
       );
     }
   });
 
-  if (!checkDuplicates && !checkIndentation && !checkIfElseEquals) {
+  if (
+    !checkDuplicates &&
+    !checkIndentation &&
+    !checkIfElseEquals &&
+    !checkOdds &&
+    !checkBrackets &&
+    !checkSpecialLists &&
+    !checkUnused &&
+    !checkRecursion
+  ) {
     return diagnostics;
   }
 
-  const lines = document.getText().split(/\r?\n/);
-  const htmlStart = findHtmlStart(lines);
   const listNameIndex = new Map();
   let functionIndentLevel = null;
 
@@ -928,6 +2332,7 @@ function analyzeDocument(document, config) {
               listName.length,
               "Duplicate top-level list name.",
               "perchance.duplicateListName",
+              { name: listName, firstLine: listNameIndex.get(listName) },
             ),
           );
         } else {
@@ -980,97 +2385,423 @@ function analyzeDocument(document, config) {
         );
       });
     }
+
+    if (checkOdds && !skipPerchanceBlocks) {
+      const problems = checkChoicePercentages(commentFree);
+      if (indent && !LIST_SHORTHAND_REGEX.test(commentFreeTrimmed)) {
+        problems.push(...checkItemOdds(commentFree));
+      }
+      problems.forEach((problem) => {
+        diagnostics.push(
+          createDiagnostic(
+            index,
+            indent.length + problem.start,
+            indent.length + problem.end,
+            problem.message,
+            problem.code,
+            problem.replacement ? { replacement: problem.replacement } : null,
+          ),
+        );
+      });
+    }
+
+    if (checkBrackets && !skipPerchanceBlocks) {
+      findBracketProblems([
+        { line: index, start: indent.length, text: commentFree },
+      ])
+        .filter(
+          // An unclosed ^[condition] is already reported by the odds check.
+          (problem) =>
+            !checkOdds ||
+            problem.code !== "perchance.unclosedBracket" ||
+            line[problem.start - 1] !== "^",
+        )
+        .forEach((problem) => {
+          diagnostics.push(createBracketDiagnostic(document, problem));
+        });
+    }
+
+    if (checkSpecialLists && indent && !skipPerchanceBlocks) {
+      diagnostics.push(
+        ...checkSpecialListProperty(
+          lines,
+          index,
+          indent.length,
+          commentFreeTrimmed,
+          specialLists,
+        ),
+      );
+    }
   }
 
-  return diagnostics;
-}
+  if (checkSpecialLists) {
+    diagnostics.push(...checkSpecialListStructure(tree, specialLists));
+  }
 
-function createDiagnostic(line, start, end, message, code, data) {
-  const range = new vscode.Range(line, start, line, Math.max(start + 1, end));
-  const diagnostic = new vscode.Diagnostic(
-    range,
-    message,
-    vscode.DiagnosticSeverity.Warning,
-  );
-  if (code) {
-    diagnostic.code = code;
+  const graph =
+    checkUnused || checkRecursion
+      ? buildReferenceGraph(lines, references)
+      : null;
+  if (checkUnused) {
+    diagnostics.push(...checkUnusedLists(lines, graph, hasOutputList));
   }
-  if (data) {
-    diagnostic.data = data;
+  if (checkRecursion) {
+    diagnostics.push(...checkInfiniteRecursion(document, graph));
   }
-  return diagnostic;
-}
 
-function stripComment(text) {
-  const index = text.indexOf("//");
-  if (index === -1) {
-    return text;
+  if (checkBrackets && htmlStart < lines.length) {
+    const htmlState = { rawTag: null };
+    const segments = [];
+    for (let index = htmlStart; index < lines.length; index += 1) {
+      getHtmlTextSegments(lines[index], htmlState).forEach((segment) => {
+        segments.push({ line: index, ...segment });
+      });
+    }
+    findBracketProblems(segments).forEach((problem) => {
+      diagnostics.push(createBracketDiagnostic(document, problem));
+    });
   }
-  return text.slice(0, index);
+
+  return diagnostics;
 }
 
-function looksLikeHtmlStart(line) {
-  const trimmed = line.trimStart();
-  if (!trimmed.startsWith("<")) {
-    return false;
-  }
-  if (trimmed.startsWith("<<<<<")) {
-    return false;
+/**
+ * Warns about lists nothing reachable from `$output`/`output`, the HTML
+ * panel, the special lists or a function list refers to, lists with no
+ * items, and repeated items. Without an output list there is no known
+ * entry point, so unreachable lists are only reported when there is one.
+ */
+function checkUnusedLists(lines, graph, hasOutputList) {
+  const diagnostics = [];
+  const { tree } = graph;
+
+  if (hasOutputList) {
+    // Lists can also be used from `<script>` code and event handlers, so
+    // any word in the HTML panel that names a list counts as a use.
+    const htmlWords = new Set(
+      lines.slice(tree.htmlStart).join("\n").match(/[A-Za-z_$][\w$-]*/g),
+    );
+    const roots = new Set([
+      "output",
+      ...SPECIAL_LIST_NAMES,
+      ...graph.htmlReferences,
+    ]);
+    graph.lists.forEach((node, name) => {
+      if (node.kind === "function" || htmlWords.has(name)) {
+        roots.add(name);
+      }
+    });
+
+    const reachable = findReachableLists(graph, roots);
+    graph.lists.forEach((node, name) => {
+      // Empty lists get their own warning below.
+      if (
+        reachable.has(name) ||
+        (node.kind === "list" && !node.children.length)
+      ) {
+        return;
+      }
+      const diagnostic = new vscode.Diagnostic(
+        new vscode.Range(
+          node.line,
+          0,
+          node.endLine,
+          lines[node.endLine].length,
+        ),
+        `${name} is never used: nothing reachable from the output, the HTML panel, settings or a function list refers to it.`,
+        vscode.DiagnosticSeverity.Warning,
+      );
+      diagnostic.code = "perchance.unreachableList";
+      diagnostic.data = { line: node.line };
+      diagnostic.tags = [vscode.DiagnosticTag.Unnecessary];
+      diagnostics.push(diagnostic);
+    });
   }
-  return /<\/?[a-zA-Z]/.test(trimmed);
+
+  tree.lists
+    .filter((node) => node.kind === "list" && !node.children.length)
+    .forEach((node) => {
+      diagnostics.push(
+        createDiagnostic(
+          node.line,
+          node.column,
+          node.column + node.text.length,
+          `List ${node.name} has no items.`,
+          "perchance.emptyList",
+          { line: node.line },
+        ),
+      );
+    });
+
+  findDuplicateItems(tree).forEach(({ node, parent, firstLine }) => {
+    diagnostics.push(
+      createDiagnostic(
+        node.line,
+        node.column,
+        node.column + node.text.length,
+        `Duplicate item in ${parent.name}: it is picked twice as often as it looks (first on line ${
+          firstLine + 1
+        }).`,
+        "perchance.duplicateItem",
+        { line: node.line },
+      ),
+    );
+  });
+
+  return diagnostics;
 }
 
-function findHtmlStart(lines) {
-  let sawBlank = false;
-  for (let index = 0; index < lines.length; index += 1) {
-    const line = lines[index];
-    const trimmed = line.trim();
-    if (trimmed === "") {
-      sawBlank = true;
-      continue;
-    }
-    if (sawBlank && looksLikeHtmlStart(line)) {
-      return index;
+function checkInfiniteRecursion(document, graph) {
+  const diagnostics = [];
+  const nameRange = (node) =>
+    new vscode.Range(
+      node.line,
+      node.column,
+      node.line,
+      node.column + node.name.length,
+    );
+
+  findInfiniteCycles(graph).forEach((members) => {
+    // One loop per group; each member reports it starting from itself.
+    const [first] = members;
+    const cycle = findCyclePath(graph, first, members).slice(0, -1);
+    members.forEach((name) => {
+      const node = graph.lists.get(name);
+      const start = cycle.indexOf(name);
+      const path =
+        start === -1
+          ? cycle.concat(first)
+          : [...cycle.slice(start), ...cycle.slice(0, start), name];
+      const diagnostic = createDiagnostic(
+        node.line,
+        node.column,
+        node.column + name.length,
+        `Infinite recursion: every item of ${name} leads back into ${path.join(
+          " → ",
+        )}, so generating it never finishes.`,
+        "perchance.infiniteRecursion",
+      );
+      diagnostic.relatedInformation = path.slice(0, -1).map(
+        (from, index) =>
+          new vscode.DiagnosticRelatedInformation(
+            new vscode.Location(
+              document.uri,
+              nameRange(graph.lists.get(from)),
+            ),
+            `${from} refers to ${path[index + 1]}`,
+          ),
+      );
+      diagnostics.push(diagnostic);
+    });
+  });
+  return diagnostics;
+}
+
+function hasIndentedChild(lines, index) {
+  const level = getIndentInfo(lines[index]).level;
+  for (let next = index + 1; next < lines.length; next += 1) {
+    const trimmed = lines[next].trim();
+    if (trimmed && !trimmed.startsWith("//")) {
+      return getIndentInfo(lines[next]).level > level;
     }
-    sawBlank = false;
   }
-  return lines.length;
+  return false;
 }
 
-function parseListName(trimmedLine) {
-  let line = trimmedLine;
-  if (line.startsWith("async ")) {
-    line = line.slice("async ".length).trimStart();
+/**
+ * Checks a `key = value`, `key() =>` or sublist line against the schema of
+ * the special list it is in: unknown keys, keys that belong to another
+ * special list, and values of the wrong type.
+ */
+function checkSpecialListProperty(lines, index, column, text, specialLists) {
+  const shorthand = text.match(/^([A-Za-z_][A-Za-z0-9_]*)\s*=(?!=)\s*(.*)$/);
+  const isFunction = !shorthand && FUNCTION_HEADER_REGEX.test(text);
+  const isSublist =
+    !shorthand &&
+    !isFunction &&
+    LIST_BLOCK_HEADER_REGEX.test(text) &&
+    hasIndentedChild(lines, index);
+  if (!shorthand && !isFunction && !isSublist) {
+    return [];
   }
-  const match = line.match(/^[A-Za-z0-9_$][\w$-]*/);
-  if (!match) {
-    return null;
+
+  const key = shorthand ? shorthand[1] : parseListName(text);
+  const { currentListName, parentListName } = getListContext(
+    lines,
+    index,
+    false,
+  );
+  const current = specialLists.lists[currentListName];
+  const sections = getSchemaSections(
+    specialLists,
+    currentListName,
+    parentListName,
+  );
+  const keyEnd = column + key.length;
+
+  // Inputs and channels are sublists; only their properties are keys.
+  // Where special sublists go is checked by checkSpecialListStructure.
+  if (
+    isSublist &&
+    ((current && current.itemKeys) || specialLists.lists[key])
+  ) {
+    return [];
   }
-  return match[0];
-}
 
-function isFunctionListStart(trimmedLine) {
-  if (!trimmedLine) {
-    return false;
+  const section = sections.find((entry) => entry.keys[key]);
+  if (!section) {
+    if (!sections.length && !(current && current.itemKeys)) {
+      return [];
+    }
+    const owner = findKeyOwner(specialLists, key);
+    // Function lists such as `generate() =>` are the generator's own code.
+    if (!owner && isFunction) {
+      return [];
+    }
+    if (!owner) {
+      // The schema lists the documented keys, not every key Perchance or a
+      // plugin reads, so an unknown key is only worth a hint.
+      const where = sections.some((entry) => entry.isItem)
+        ? `a ${parentListName} entry`
+        : currentListName;
+      const diagnostic = createDiagnostic(
+        index,
+        column,
+        keyEnd,
+        `Unknown property for ${where}: ${key}`,
+        "perchance.specialListUnknownKey",
+      );
+      diagnostic.severity = vscode.DiagnosticSeverity.Information;
+      return [diagnostic];
+    }
+    const expected = owner.isItem
+      ? `in a list under ${owner.listName}`
+      : `in ${owner.listName}`;
+    return [
+      createDiagnostic(
+        index,
+        column,
+        keyEnd,
+        `${key} belongs ${expected}, not directly in ${currentListName}.`,
+        "perchance.specialListWrongParent",
+      ),
+    ];
   }
-  return /\b=>\s*$/.test(trimmedLine);
+
+  const message = shorthand
+    ? checkPropertyValue(key, section.keys[key], shorthand[2].trim())
+    : null;
+  if (!message) {
+    return [];
+  }
+  const valueStart = column + text.length - shorthand[2].length;
+  return [
+    createDiagnostic(
+      index,
+      valueStart,
+      column + text.length,
+      message,
+      "perchance.specialListValue",
+    ),
+  ];
 }
 
-function countIndentLevel(indent) {
-  let level = 0;
-  let spaces = 0;
-  for (const char of indent) {
-    if (char === "\t") {
-      level += 1;
-    } else if (char === " ") {
-      spaces += 1;
-      if (spaces === 2) {
-        level += 1;
-        spaces = 0;
+/**
+ * Reports special lists nested in another special list that does not take
+ * them, and special lists or their entries missing required keys.
+ */
+function checkSpecialListStructure(tree, specialLists) {
+  const diagnostics = [];
+  const lists = specialLists.lists;
+  const reportMissing = (node, keys) => {
+    Object.entries(keys || {})
+      .filter(
+        ([key, definition]) =>
+          definition.required &&
+          !node.children.some((child) => child.name === key),
+      )
+      .forEach(([key]) => {
+        diagnostics.push(
+          createDiagnostic(
+            node.line,
+            node.column,
+            node.column + node.name.length,
+            `${node.name} is missing the required property ${key}.`,
+            "perchance.specialListMissingKey",
+          ),
+        );
+      });
+  };
+
+  const visit = (node, parent) => {
+    const schema = node.kind === "list" ? lists[node.name] : null;
+    if (schema) {
+      if (
+        parent &&
+        lists[parent.name] &&
+        !schema.parents.includes(parent.name)
+      ) {
+        const allowed = schema.parents.map((name) =>
+          name === null ? "at the top level" : `in ${name}`,
+        );
+        diagnostics.push(
+          createDiagnostic(
+            node.line,
+            node.column,
+            node.column + node.name.length,
+            `${node.name} belongs ${allowed.join(" or ")}, not in ${parent.name}.`,
+            "perchance.specialListWrongParent",
+          ),
+        );
       }
+      reportMissing(node, schema.keys);
+      node.children
+        .filter((child) => child.kind === "list" && !lists[child.name])
+        .forEach((child) => reportMissing(child, schema.itemKeys));
     }
+    node.children.forEach((child) => visit(child, node));
+  };
+  tree.lists.forEach((node) => visit(node, null));
+  return diagnostics;
+}
+
+function createBracketDiagnostic(document, problem) {
+  const diagnostic = createDiagnostic(
+    problem.line,
+    problem.start,
+    problem.start + 1,
+    problem.message,
+    problem.code,
+  );
+  if (problem.closedAt) {
+    const { line, start } = problem.closedAt;
+    diagnostic.relatedInformation = [
+      new vscode.DiagnosticRelatedInformation(
+        new vscode.Location(
+          document.uri,
+          new vscode.Range(line, start, line, start + 1),
+        ),
+        "Closed here.",
+      ),
+    ];
+  }
+  return diagnostic;
+}
+
+function createDiagnostic(line, start, end, message, code, data) {
+  const range = new vscode.Range(line, start, line, Math.max(start + 1, end));
+  const diagnostic = new vscode.Diagnostic(
+    range,
+    message,
+    vscode.DiagnosticSeverity.Warning,
+  );
+  if (code) {
+    diagnostic.code = code;
+  }
+  if (data) {
+    diagnostic.data = data;
   }
-  return level;
+  return diagnostic;
 }
 
 function findIfElseSingleEquals(text) {
@@ -1116,23 +2847,223 @@ function hasSingleEquals(text) {
   return false;
 }
 
-function createIfElseEqualsFix(document, diagnostic) {
-  const line = diagnostic.data?.line ?? diagnostic.range.start.line;
-  const lineText = document.lineAt(line).text;
-  const updated = replaceSingleEqualsInIfElse(lineText);
-  if (!updated || updated === lineText) {
+function createIfElseEqualsFix(document, diagnostic) {
+  const line = diagnostic.data?.line ?? diagnostic.range.start.line;
+  const lineText = document.lineAt(line).text;
+  const updated = replaceSingleEqualsInIfElse(lineText);
+  if (!updated || updated === lineText) {
+    return null;
+  }
+
+  const edit = new vscode.WorkspaceEdit();
+  edit.replace(
+    document.uri,
+    new vscode.Range(line, 0, line, lineText.length),
+    updated,
+  );
+
+  const fix = new vscode.CodeAction(
+    "Replace = with == in if/else condition",
+    vscode.CodeActionKind.QuickFix,
+  );
+  fix.edit = edit;
+  fix.diagnostics = [diagnostic];
+  return fix;
+}
+
+function createChoicePercentFix(document, diagnostic) {
+  const edit = new vscode.WorkspaceEdit();
+  edit.replace(document.uri, diagnostic.range, diagnostic.data.replacement);
+
+  const fix = new vscode.CodeAction(
+    "Normalise percentages to add up to 100%",
+    vscode.CodeActionKind.QuickFix,
+  );
+  fix.edit = edit;
+  fix.diagnostics = [diagnostic];
+  fix.isPreferred = true;
+  return fix;
+}
+
+function createRemoveListFix(document, diagnostic) {
+  const lines = document.getText().split(/\r?\n/);
+  const node = parseListTree(lines).lists.find(
+    (list) => list.line === diagnostic.data.line,
+  );
+  if (!node) {
+    return null;
+  }
+
+  // Take one blank line along when the list sits between blank lines, so
+  // removing it does not leave a double gap.
+  let end = node.endLine + 1;
+  const blankBefore = node.line === 0 || !lines[node.line - 1].trim();
+  if (blankBefore && end < lines.length - 1 && !lines[end].trim()) {
+    end += 1;
+  }
+  const edit = new vscode.WorkspaceEdit();
+  edit.delete(
+    document.uri,
+    end < lines.length
+      ? new vscode.Range(node.line, 0, end, 0)
+      : new vscode.Range(
+          node.line,
+          0,
+          node.endLine,
+          lines[node.endLine].length,
+        ),
+  );
+
+  const fix = new vscode.CodeAction(
+    `Remove list ${node.name}`,
+    vscode.CodeActionKind.QuickFix,
+  );
+  fix.edit = edit;
+  fix.diagnostics = [diagnostic];
+  return fix;
+}
+
+function createRemoveItemFix(document, diagnostic) {
+  const { line } = diagnostic.data;
+  const edit = new vscode.WorkspaceEdit();
+  edit.delete(document.uri, new vscode.Range(line, 0, line + 1, 0));
+
+  const fix = new vscode.CodeAction(
+    "Remove duplicate item",
+    vscode.CodeActionKind.QuickFix,
+  );
+  fix.edit = edit;
+  fix.diagnostics = [diagnostic];
+  fix.isPreferred = true;
+  return fix;
+}
+
+function createDidYouMeanFix(document, diagnostic) {
+  const { assignments } = collectListReferences(document);
+  const names = new Set([
+    ...collectListDefinitions(document).keys(),
+    ...assignments.map((assignment) => assignment.name),
+  ]);
+  const closest = findClosestName(diagnostic.data.name, names);
+  if (!closest) {
+    return null;
+  }
+
+  const edit = new vscode.WorkspaceEdit();
+  edit.replace(document.uri, diagnostic.range, closest);
+
+  const fix = new vscode.CodeAction(
+    `Did you mean ${closest}?`,
+    vscode.CodeActionKind.QuickFix,
+  );
+  fix.edit = edit;
+  fix.diagnostics = [diagnostic];
+  fix.isPreferred = true;
+  return fix;
+}
+
+function createStubListFix(document, diagnostic) {
+  const lines = document.getText().split(/\r?\n/);
+  const htmlStart = findHtmlStart(lines);
+  let lastLine = Math.min(htmlStart, lines.length) - 1;
+  while (lastLine >= 0 && !lines[lastLine].trim()) {
+    lastLine -= 1;
+  }
+
+  const { name } = diagnostic.data;
+  // The list's own name stands in for its first item, so the generator
+  // keeps producing readable text until the user fills the list in.
+  const stub = `${name}\n${detectIndentUnit(lines)}${name}`;
+  const edit = new vscode.WorkspaceEdit();
+  if (lastLine === -1) {
+    edit.insert(document.uri, new vscode.Position(0, 0), `${stub}\n\n`);
+  } else {
+    edit.insert(
+      document.uri,
+      new vscode.Position(lastLine, lines[lastLine].length),
+      `\n\n${stub}`,
+    );
+  }
+
+  const fix = new vscode.CodeAction(
+    `Create list ${name}`,
+    vscode.CodeActionKind.QuickFix,
+  );
+  fix.edit = edit;
+  fix.diagnostics = [diagnostic];
+  return fix;
+}
+
+function createMergeListsFix(document, diagnostic) {
+  const { name, firstLine } = diagnostic.data || {};
+  const lines = document.getText().split(/\r?\n/);
+  const tree = parseListTree(lines);
+  const first = tree.lists.find((node) => node.line === firstLine);
+  const duplicate = tree.lists.find(
+    (node) => node.line === diagnostic.range.start.line,
+  );
+  if (
+    !first ||
+    !duplicate ||
+    first.kind !== "list" ||
+    duplicate.kind !== "list"
+  ) {
+    return null;
+  }
+
+  const items = lines.slice(duplicate.line + 1, duplicate.endLine + 1);
+  const edit = new vscode.WorkspaceEdit();
+  edit.insert(
+    document.uri,
+    new vscode.Position(first.endLine, lines[first.endLine].length),
+    `\n${items.join("\n")}`,
+  );
+  const last = duplicate.endLine;
+  edit.delete(
+    document.uri,
+    last + 1 < lines.length
+      ? new vscode.Range(duplicate.line, 0, last + 1, 0)
+      : new vscode.Range(duplicate.line, 0, last, lines[last].length),
+  );
+
+  const fix = new vscode.CodeAction(
+    `Merge the items of both ${name} lists`,
+    vscode.CodeActionKind.QuickFix,
+  );
+  fix.edit = edit;
+  fix.diagnostics = [diagnostic];
+  return fix;
+}
+
+function createReindentListFix(document, diagnostic) {
+  const lines = document.getText().split(/\r?\n/);
+  const line = diagnostic.range.start.line;
+  const list = parseListTree(lines).lists.find(
+    (node) => node.line <= line && line <= node.endLine,
+  );
+  if (!list) {
     return null;
   }
 
+  const unit = detectIndentUnit(lines);
   const edit = new vscode.WorkspaceEdit();
-  edit.replace(
-    document.uri,
-    new vscode.Range(line, 0, line, lineText.length),
-    updated,
+  reindentLines(lines, list.line, list.endLine, unit).forEach(
+    (text, offset) => {
+      const index = list.line + offset;
+      if (text !== lines[index]) {
+        edit.replace(
+          document.uri,
+          new vscode.Range(index, 0, index, lines[index].length),
+          text,
+        );
+      }
+    },
   );
 
   const fix = new vscode.CodeAction(
-    "Replace = with == in if/else condition",
+    `Re-indent list ${list.name || list.text} with ${
+      unit === "\t" ? "tabs" : "two spaces"
+    }`,
     vscode.CodeActionKind.QuickFix,
   );
   fix.edit = edit;
@@ -1180,7 +3111,12 @@ function replaceFirstSingleEquals(text, replacement) {
   return null;
 }
 
-function registerCommands(context) {
+function registerCommands(context, outputChannel) {
+  const downloader = createGeneratorDownloader(
+    getDownloadOptions,
+    path.join(context.globalStorageUri.fsPath, "downloads"),
+  );
+
   const managePlugins = vscode.commands.registerCommand(
     "perchance.managePlugins",
     async () => {
@@ -1283,12 +3219,12 @@ function registerCommands(context) {
       }
 
       if (pick.action === "download") {
-        await createFromExistingGenerator();
+        await createFromExistingGenerator(downloader);
         return;
       }
 
       if (pick.action === "template") {
-        await openTemplateGenerator(pick.template);
+        await openTemplateGenerator(pick.template, downloader);
         return;
       }
 
@@ -1317,63 +3253,650 @@ function registerCommands(context) {
     },
   );
 
+  const runGeneratorCommand = vscode.commands.registerCommand(
+    "perchance.runGenerator",
+    async () => {
+      await runActiveGenerator(outputChannel, false);
+    },
+  );
+
+  const runListCommand = vscode.commands.registerCommand(
+    "perchance.runList",
+    async () => {
+      await runActiveGenerator(outputChannel, true);
+    },
+  );
+
+  const splitGeneratorCommand = vscode.commands.registerCommand(
+    "perchance.splitGenerator",
+    async () => {
+      await splitActiveGenerator();
+    },
+  );
+
+  const mergeGeneratorCommand = vscode.commands.registerCommand(
+    "perchance.mergeGenerator",
+    async () => {
+      await mergeActiveGenerator();
+    },
+  );
+
+  const showStatistics = vscode.commands.registerCommand(
+    "perchance.showStatistics",
+    async () => {
+      await showActiveGeneratorStatistics();
+    },
+  );
+
+  const publishedTexts = new Map();
+  const publishedChanges = new vscode.EventEmitter();
+  const publishedProvider =
+    vscode.workspace.registerTextDocumentContentProvider(PUBLISHED_SCHEME, {
+      onDidChange: publishedChanges.event,
+      provideTextDocumentContent: (uri) =>
+        publishedTexts.get(uri.toString()) || "",
+    });
+
+  const compareWithPublished = vscode.commands.registerCommand(
+    "perchance.compareWithPublished",
+    async () => {
+      const editor = vscode.window.activeTextEditor;
+      if (!editor || editor.document.languageId !== LANGUAGE_ID) {
+        vscode.window.showWarningMessage(
+          "Open a Perchance generator to compare it.",
+        );
+        return;
+      }
+
+      const document = editor.document;
+      const generatorName = await pickPublishedGeneratorName(document);
+      if (!generatorName) {
+        return;
+      }
+
+      const config = vscode.workspace.getConfiguration("perchance");
+      const mode = config.get("generators.defaultDownloadMode", "lists");
+      let published = "";
+      try {
+        published = await downloadGeneratorByName(
+          downloader,
+          generatorName,
+          mode,
+        );
+      } catch (error) {
+        vscode.window.showErrorMessage(
+          `Failed to download generator: ${
+            error instanceof Error ? error.message : String(error)
+          }`,
+        );
+        return;
+      }
+
+      const publishedUri = vscode.Uri.parse(
+        `${PUBLISHED_SCHEME}:/${generatorName}.perchance?mode=${mode}`,
+      );
+      publishedTexts.set(publishedUri.toString(), published);
+      publishedChanges.fire(publishedUri);
+
+      // The local file is on the right, so the diff editor's "revert"
+      // arrows copy published hunks into it.
+      await vscode.commands.executeCommand(
+        "vscode.diff",
+        publishedUri,
+        document.uri,
+        `${generatorName} (published, ${mode}) ↔ ${path.basename(
+          document.uri.path,
+        )}`,
+      );
+    },
+  );
+
+  const lockImports = vscode.commands.registerCommand(
+    "perchance.lockImports",
+    async () => {
+      await lockWorkspaceImports(downloader, outputChannel);
+    },
+  );
+
+  const showDownloadCache = vscode.commands.registerCommand(
+    "perchance.showDownloadCache",
+    async () => {
+      await showCachedDownloads(downloader);
+    },
+  );
+
+  const clearDownloadCache = vscode.commands.registerCommand(
+    "perchance.clearDownloadCache",
+    async () => {
+      const confirm = await vscode.window.showWarningMessage(
+        "Delete all cached generator downloads?",
+        { modal: true },
+        "Clear Cache",
+      );
+      if (!confirm) {
+        return;
+      }
+      const count = downloader.clearCache();
+      vscode.window.showInformationMessage(
+        `Removed ${count} cached download${count === 1 ? "" : "s"}.`,
+      );
+    },
+  );
+
   context.subscriptions.push(
     managePlugins,
     createGenerator,
     toggleWrap,
     foldAllLists,
     unfoldAllLists,
+    runGeneratorCommand,
+    runListCommand,
+    splitGeneratorCommand,
+    mergeGeneratorCommand,
+    showStatistics,
+    publishedChanges,
+    publishedProvider,
+    compareWithPublished,
+    lockImports,
+    showDownloadCache,
+    clearDownloadCache,
+  );
+}
+
+async function runActiveGenerator(outputChannel, pickList) {
+  const editor = vscode.window.activeTextEditor;
+  if (!editor || editor.document.languageId !== LANGUAGE_ID) {
+    vscode.window.showWarningMessage("Open a Perchance generator to run it.");
+    return;
+  }
+
+  const tree = parseListTree(editor.document.getText().split(/\r?\n/));
+  let listName = pickList ? null : findOutputListName(tree);
+  if (!listName) {
+    const names = tree.lists
+      .filter((node) => node.name && node.kind !== "function")
+      .map((node) => node.name);
+    if (!names.length) {
+      vscode.window.showWarningMessage("No lists found to run.");
+      return;
+    }
+    listName = await vscode.window.showQuickPick(names, {
+      placeHolder: "Select a list to evaluate",
+    });
+    if (!listName) {
+      return;
+    }
+  }
+
+  const config = vscode.workspace.getConfiguration("perchance");
+  const seed = String(config.get("run.seed", "")).trim();
+  const count = Math.max(1, config.get("run.sampleCount", 5));
+  const result = runGenerator(tree, { listName, seed, count });
+
+  outputChannel.appendLine(
+    `[${listName}] ${count} sample${count === 1 ? "" : "s"}${
+      seed ? ` (seed: ${seed})` : ""
+    }`,
+  );
+  result.outputs.forEach((output, index) => {
+    outputChannel.appendLine(`${index + 1}. ${output}`);
+  });
+  result.warnings.forEach((warning) => {
+    outputChannel.appendLine(`Warning: ${warning}`);
+  });
+  outputChannel.appendLine("");
+  outputChannel.show(true);
+}
+
+async function showActiveGeneratorStatistics() {
+  const editor = vscode.window.activeTextEditor;
+  if (!editor || editor.document.languageId !== LANGUAGE_ID) {
+    vscode.window.showWarningMessage(
+      "Open a Perchance generator to see its statistics.",
+    );
+    return;
+  }
+
+  const source = editor.document;
+  const stats = computeStatistics(source.getText().split(/\r?\n/));
+  if (!stats.length) {
+    vscode.window.showInformationMessage("This generator has no lists yet.");
+    return;
+  }
+  const document = await vscode.workspace.openTextDocument({
+    language: "markdown",
+    content: formatStatisticsMarkdown(
+      stats,
+      path.basename(source.uri.path) || "Untitled",
+    ),
+  });
+  await vscode.window.showTextDocument(document, {
+    preview: false,
+    viewColumn: vscode.ViewColumn.Beside,
+  });
+}
+
+/**
+ * Writes the lists section of the active generator to `name.perchance` (the
+ * document itself when it is already a generator file) and the HTML panel
+ * to `name.html` next to it.
+ */
+async function splitActiveGenerator() {
+  const editor = vscode.window.activeTextEditor;
+  if (!editor || editor.document.languageId !== LANGUAGE_ID) {
+    vscode.window.showWarningMessage("Open a Perchance generator to split it.");
+    return;
+  }
+
+  const document = editor.document;
+  const parts = splitGenerator(document.getText());
+  if (!parts.html) {
+    vscode.window.showWarningMessage(
+      "This generator has no HTML panel (a blank line followed by an HTML tag).",
+    );
+    return;
+  }
+
+  let listsPath = null;
+  if (document.uri.scheme === "file") {
+    listsPath = isGeneratorFile(document.uri)
+      ? document.uri.fsPath
+      : `${stripExtension(document.uri.fsPath)}.perchance`;
+  } else {
+    const target = await vscode.window.showSaveDialog({
+      filters: { Perchance: ["perchance"] },
+      saveLabel: "Split",
+      title: "Save the lists file (the HTML file is saved next to it)",
+    });
+    if (!target) {
+      return;
+    }
+    listsPath = target.fsPath;
+  }
+
+  const htmlPath = `${stripExtension(listsPath)}.html`;
+  const existing = [listsPath, htmlPath].filter(
+    (target) => target !== document.uri.fsPath && fs.existsSync(target),
+  );
+  if (existing.length) {
+    const names = existing.map((target) => path.basename(target)).join(" and ");
+    const overwrite = await vscode.window.showWarningMessage(
+      existing.length === 1
+        ? `${names} already exists. Overwrite it?`
+        : `${names} already exist. Overwrite them?`,
+      { modal: true },
+      "Overwrite",
+    );
+    if (!overwrite) {
+      return;
+    }
+  }
+
+  try {
+    // The HTML goes first so a failed write never leaves the panel removed
+    // from the saved generator.
+    fs.writeFileSync(htmlPath, parts.html, "utf8");
+    if (listsPath === document.uri.fsPath) {
+      const edit = new vscode.WorkspaceEdit();
+      edit.replace(
+        document.uri,
+        new vscode.Range(
+          document.positionAt(0),
+          document.positionAt(document.getText().length),
+        ),
+        parts.lists,
+      );
+      await vscode.workspace.applyEdit(edit);
+      await document.save();
+    } else {
+      fs.writeFileSync(listsPath, parts.lists, "utf8");
+    }
+  } catch (error) {
+    vscode.window.showErrorMessage(
+      `Failed to split generator: ${
+        error instanceof Error ? error.message : String(error)
+      }`,
+    );
+    return;
+  }
+
+  await vscode.window.showTextDocument(vscode.Uri.file(listsPath), {
+    preview: false,
+  });
+  await vscode.window.showTextDocument(vscode.Uri.file(htmlPath), {
+    preview: false,
+    viewColumn: vscode.ViewColumn.Beside,
+  });
+}
+
+/**
+ * Merges `name.perchance` and `name.html` (either can be active) into the
+ * single text perchance.org expects and opens it in a new document.
+ */
+async function mergeActiveGenerator() {
+  const editor = vscode.window.activeTextEditor;
+  const uri = editor && editor.document.uri;
+  if (!uri || uri.scheme !== "file") {
+    vscode.window.showWarningMessage(
+      "Open a saved generator file or its .html file to merge them.",
+    );
+    return;
+  }
+
+  const base = stripExtension(uri.fsPath);
+  const listsPath = isGeneratorFile(uri)
+    ? uri.fsPath
+    : GENERATOR_EXTENSIONS.map((extension) => `${base}${extension}`).find(
+        (candidate) => fs.existsSync(candidate),
+      );
+  const htmlPath = `${base}.html`;
+  if (!listsPath || !fs.existsSync(htmlPath)) {
+    vscode.window.showWarningMessage(
+      `Could not find both ${path.basename(base)}.perchance and ${path.basename(
+        htmlPath,
+      )}.`,
+    );
+    return;
+  }
+
+  const lists = readFileOrDocument(listsPath);
+  const html = readFileOrDocument(htmlPath);
+  const merged = mergeGenerator(lists, html);
+
+  // perchance.org finds the HTML panel the same way; make sure it would
+  // start where the HTML file does.
+  const check = splitGenerator(merged);
+  if (html && check.html !== html) {
+    vscode.window.showWarningMessage(
+      `Line ${check.htmlStart + 1} of the merged generator looks like the start of the HTML panel, so perchance.org would split it differently.`,
+    );
+  }
+
+  await openGeneratorDocument(merged);
+  const copy = await vscode.window.showInformationMessage(
+    "Merged generator opened in a new editor.",
+    "Copy to Clipboard",
+  );
+  if (copy) {
+    await vscode.env.clipboard.writeText(merged);
+  }
+}
+
+function stripExtension(filePath) {
+  return filePath.slice(0, filePath.length - path.extname(filePath).length);
+}
+
+function readFileOrDocument(filePath) {
+  const open = vscode.workspace.textDocuments.find(
+    (document) =>
+      document.uri.scheme === "file" && document.uri.fsPath === filePath,
   );
+  return open ? open.getText() : fs.readFileSync(filePath, "utf8");
 }
 
-function fetchText(url) {
-  if (typeof fetch === "function") {
-    return fetch(url).then((response) => {
-      if (!response.ok) {
-        throw new Error(`Download failed: ${response.status}`);
+/**
+ * Downloads every `{import:name}` used in the workspace, recursively, into
+ * the imports cache folder and records their hashes in perchance-lock.json.
+ * When a lockfile exists, upstream changes are reported before it is
+ * rewritten.
+ */
+async function lockWorkspaceImports(downloader, outputChannel) {
+  const folder = (vscode.workspace.workspaceFolders || [])[0];
+  if (!folder) {
+    vscode.window.showWarningMessage("Open a workspace folder to lock imports.");
+    return;
+  }
+
+  const config = vscode.workspace.getConfiguration("perchance");
+  const root = folder.uri.fsPath;
+  const cacheDir = path.resolve(
+    root,
+    config.get("imports.cacheFolder", ".perchance/imports"),
+  );
+  const lockPath = path.join(root, LOCKFILE_NAME);
+
+  const uris = await vscode.workspace.findFiles(
+    GENERATOR_GLOB,
+    "**/node_modules/**",
+  );
+  const roots = new Set();
+  uris
+    .filter((uri) => !uri.fsPath.startsWith(cacheDir + path.sep))
+    .forEach((uri) => {
+      findImports(readFileOrDocument(uri.fsPath)).forEach((name) =>
+        roots.add(name),
+      );
+    });
+  if (!roots.size) {
+    vscode.window.showInformationMessage(
+      "No {import:...} references found in the workspace.",
+    );
+    return;
+  }
+
+  const graph = await vscode.window.withProgress(
+    {
+      location: vscode.ProgressLocation.Notification,
+      title: "Downloading Perchance imports",
+    },
+    async () =>
+      resolveImportGraph(
+        Array.from(roots),
+        async (name) => {
+          const { text, fromCache } = await downloader.download(name, "lists");
+          // A cached copy would make a stale import look unchanged.
+          if (fromCache) {
+            throw new Error("only a cached copy could be read");
+          }
+          return text;
+        },
+      ),
+  );
+
+  let previous = null;
+  try {
+    previous = JSON.parse(fs.readFileSync(lockPath, "utf8"));
+  } catch {
+    previous = null;
+  }
+  const lock = createLockfile(graph, previous);
+  const diff = diffLockfiles(previous, lock);
+
+  const failed = Array.from(graph.keys()).filter(
+    (name) => graph.get(name).error,
+  );
+
+  outputChannel.appendLine(`[imports] ${graph.size} resolved`);
+  failed.forEach((name) => {
+    outputChannel.appendLine(`Failed: ${name} (${graph.get(name).error})`);
+  });
+  if (previous) {
+    diff.changed.forEach((name) => {
+      outputChannel.appendLine(`Changed upstream: ${name}`);
+    });
+    diff.added.forEach((name) => {
+      outputChannel.appendLine(`New import: ${name}`);
+    });
+    diff.removed.forEach((name) => {
+      outputChannel.appendLine(`No longer imported: ${name}`);
+    });
+  }
+  outputChannel.appendLine("");
+
+  const changes =
+    diff.changed.length + diff.added.length + diff.removed.length;
+  if (previous && changes) {
+    outputChannel.show(true);
+    const update = await vscode.window.showWarningMessage(
+      `${diff.changed.length} import${
+        diff.changed.length === 1 ? " has" : "s have"
+      } changed upstream, ${diff.added.length} added, ${
+        diff.removed.length
+      } removed since ${LOCKFILE_NAME} was written.`,
+      "Update Lockfile",
+    );
+    if (!update) {
+      return;
+    }
+  }
+
+  // The import files are written even when the lockfile is unchanged, so a
+  // fresh clone with a committed lockfile gets them too.
+  try {
+    fs.mkdirSync(cacheDir, { recursive: true });
+    graph.forEach((entry, name) => {
+      if (!entry.error) {
+        fs.writeFileSync(
+          path.join(cacheDir, `${name}.perchance`),
+          entry.text,
+          "utf8",
+        );
       }
-      return response.text();
     });
+    diff.removed.forEach((name) => {
+      fs.rmSync(path.join(cacheDir, `${name}.perchance`), { force: true });
+    });
+    if (!previous || changes) {
+      fs.writeFileSync(
+        lockPath,
+        `${JSON.stringify(lock, null, 2)}\n`,
+        "utf8",
+      );
+    }
+  } catch (error) {
+    vscode.window.showErrorMessage(
+      `Failed to write ${LOCKFILE_NAME}: ${
+        error instanceof Error ? error.message : String(error)
+      }`,
+    );
+    return;
   }
 
-  return new Promise((resolve, reject) => {
-    https
-      .get(url, (response) => {
-        if (response.statusCode && response.statusCode >= 400) {
-          reject(new Error(`Download failed: ${response.statusCode}`));
-          return;
-        }
-        response.setEncoding("utf8");
-        let data = "";
-        response.on("data", (chunk) => {
-          data += chunk;
-        });
-        response.on("end", () => resolve(data));
-      })
-      .on("error", reject);
+  const count = Object.keys(lock.imports).length;
+  if (failed.length) {
+    outputChannel.show(true);
+    vscode.window.showWarningMessage(
+      `${failed.length} import${
+        failed.length === 1 ? "" : "s"
+      } could not be downloaded; see the Perchance output.`,
+    );
+  } else if (previous && !changes) {
+    vscode.window.showInformationMessage(
+      `All ${count} imports match ${LOCKFILE_NAME}.`,
+    );
+  } else {
+    vscode.window.showInformationMessage(
+      `Locked ${count} imports in ${LOCKFILE_NAME}.`,
+    );
+  }
+}
+
+/**
+ * Reads the generator name from a provenance comment at the top of the
+ * file (`// generator: name` or `// https://perchance.org/name`).
+ */
+function findProvenanceName(lines) {
+  for (const line of lines) {
+    const trimmed = line.trim();
+    if (!trimmed) {
+      continue;
+    }
+    if (!trimmed.startsWith("//")) {
+      break;
+    }
+    const named = trimmed.match(PROVENANCE_NAME_REGEX);
+    if (named) {
+      return named[1];
+    }
+    const url = trimmed.match(PROVENANCE_URL_REGEX);
+    if (url) {
+      const name = extractGeneratorName(
+        /^https?:/i.test(url[1]) ? url[1] : `https://${url[1]}`,
+      );
+      if (name) {
+        return name;
+      }
+    }
+  }
+  return null;
+}
+
+async function pickPublishedGeneratorName(document) {
+  const suggested =
+    findProvenanceName(document.getText().split(/\r?\n/)) ||
+    (document.uri.scheme === "file" && isGeneratorFile(document.uri)
+      ? getGeneratorName(document.uri)
+      : "");
+  if (suggested) {
+    return suggested;
+  }
+
+  const generatorName = await vscode.window.showInputBox({
+    title: "Published Perchance generator",
+    prompt: "Enter the generator name from perchance.org/<name>",
+    validateInput: (value) => {
+      if (!value || !value.trim()) {
+        return "Generator name is required.";
+      }
+      return GENERATOR_NAME_REGEX.test(value.trim())
+        ? undefined
+        : "Use only letters, digits, - and _, as in perchance.org/<name>.";
+    },
   });
+  return generatorName ? generatorName.trim() : null;
 }
 
-async function downloadGeneratorByName(generatorName, mode) {
-  const url =
-    mode === "lists"
-      ? `https://perchance.org/api/downloadGenerator?generatorName=${encodeURIComponent(
-          generatorName,
-        )}&listsOnly=true`
-      : `https://perchance.org/api/downloadGenerator?generatorName=${encodeURIComponent(
-          generatorName,
-        )}`;
+function getDownloadOptions() {
+  const config = vscode.workspace.getConfiguration("perchance");
+  return {
+    baseUrl: config.get("api.baseUrl", DEFAULT_BASE_URL) || DEFAULT_BASE_URL,
+    timeout: Math.max(0, config.get("api.timeout", 15000)),
+    retries: Math.max(0, config.get("api.retries", 2)),
+    cache: config.get("api.cacheDownloads", true),
+    offline: config.get("api.offline", false),
+  };
+}
 
-  return vscode.window.withProgress(
+async function downloadGeneratorByName(downloader, generatorName, mode) {
+  const result = await vscode.window.withProgress(
     {
       location: vscode.ProgressLocation.Notification,
       title: "Downloading Perchance generator",
     },
-    async () => fetchText(url),
+    async () => downloader.download(generatorName, mode),
+  );
+  if (result.fromCache) {
+    vscode.window.showInformationMessage(
+      `Using the cached copy of "${generatorName}".`,
+    );
+  }
+  return result.text;
+}
+
+async function showCachedDownloads(downloader) {
+  const entries = downloader.listCache();
+  if (!entries.length) {
+    vscode.window.showInformationMessage("The download cache is empty.");
+    return;
+  }
+
+  const pick = await vscode.window.showQuickPick(
+    entries.map((entry) => ({
+      label: entry.name,
+      description: entry.mode === "lists" ? "Lists only" : "Full generator",
+      detail: `${entry.downloadedAt.toLocaleString()} · ${entry.size} bytes`,
+      entry,
+    })),
+    { placeHolder: "Cached generator downloads", matchOnDescription: true },
   );
+  if (!pick) {
+    return;
+  }
+
+  await openGeneratorDocument(fs.readFileSync(pick.entry.path, "utf8"));
 }
 
-async function createFromExistingGenerator() {
+async function createFromExistingGenerator(downloader) {
   const generatorName = await vscode.window.showInputBox({
     title: "Perchance generator name",
     prompt: "Enter the generator name from perchance.org/<name>",
@@ -1410,7 +3933,11 @@ async function createFromExistingGenerator() {
 
   let content = "";
   try {
-    content = await downloadGeneratorByName(generatorName.trim(), mode.value);
+    content = await downloadGeneratorByName(
+      downloader,
+      generatorName.trim(),
+      mode.value,
+    );
   } catch (error) {
     vscode.window.showErrorMessage(
       `Failed to download generator: ${
@@ -1423,7 +3950,7 @@ async function createFromExistingGenerator() {
   await openGeneratorDocument(content);
 }
 
-async function openTemplateGenerator(template) {
+async function openTemplateGenerator(template, downloader) {
   const generatorName = extractGeneratorName(template.url);
   const openUrl = template.edit_url || template.url;
   if (!generatorName) {
@@ -1451,7 +3978,7 @@ async function openTemplateGenerator(template) {
 
   let content = "";
   try {
-    content = await downloadGeneratorByName(generatorName, "full");
+    content = await downloadGeneratorByName(downloader, generatorName, "full");
   } catch (error) {
     vscode.window.showErrorMessage(
       `Failed to download template: ${
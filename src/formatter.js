@@ -0,0 +1,70 @@
+"use strict";
+
+const { parseListTree } = require("./syntax");
+const { computeIndentLevels } = require("./listEdits");
+
+const SHORTHAND_EQUALS_REGEX = /^(\$?[A-Za-z_][A-Za-z0-9_-]*)\s*=(?!=)\s*/;
+
+function collectFunctionBodyLines(tree) {
+  const lines = new Set();
+  const visit = (node) => {
+    (node.body || []).forEach((line) => lines.add(line));
+    (node.children || []).forEach(visit);
+  };
+  tree.lists.forEach(visit);
+  return lines;
+}
+
+/**
+ * Formats the lists section of a generator. Each line is re-indented with
+ * `unit` per nesting level, worked out from how its indentation compares
+ * with the lines above so sublists keep their depth; `name=value` becomes
+ * `name = value`. Function list bodies, comment lines and the HTML panel
+ * are left alone. Returns `{ line, text }` for every line that changes,
+ * limited to `startLine`..`endLine` when given.
+ *
+ * Options: `unit`, `normalizeIndent`, `trimTrailing`, `spaceAroundEquals`.
+ */
+function formatLists(lines, options, startLine = 0, endLine = lines.length) {
+  const tree = parseListTree(lines);
+  const bodyLines = collectFunctionBodyLines(tree);
+  const listEnd = Math.min(tree.htmlStart, lines.length) - 1;
+  const levels = computeIndentLevels(lines, 0, listEnd);
+  const edits = [];
+
+  for (
+    let index = Math.max(0, startLine);
+    index <= Math.min(endLine, listEnd);
+    index += 1
+  ) {
+    const line = lines[index];
+    if (bodyLines.has(index)) {
+      continue;
+    }
+
+    let text = options.trimTrailing ? line.replace(/[\t ]+$/, "") : line;
+    const level = levels[index];
+    if (level !== null) {
+      const indent = text.match(/^[\t ]*/)[0];
+      let content = text.slice(indent.length);
+      if (options.spaceAroundEquals) {
+        content = content
+          .replace(SHORTHAND_EQUALS_REGEX, "$1 = ")
+          .replace(/ = $/, " =");
+      }
+      text =
+        (options.normalizeIndent ? options.unit.repeat(level) : indent) +
+        content;
+    }
+
+    if (text !== line) {
+      edits.push({ line: index, text });
+    }
+  }
+
+  return edits;
+}
+
+module.exports = {
+  formatLists,
+};
@@ -0,0 +1,55 @@
+"use strict";
+
+const { findHtmlStart } = require("./syntax");
+
+/**
+ * Splits a generator at the start of its HTML panel. `lists` keeps the
+ * blank line(s) before the HTML, so `mergeGenerator(lists, html)` gives
+ * back `text` exactly. `html` is empty when there is no HTML panel.
+ */
+function splitGenerator(text) {
+  const lines = text.split(/\r?\n/);
+  const htmlStart = findHtmlStart(lines);
+  if (htmlStart >= lines.length) {
+    return { lists: text, html: "", htmlStart };
+  }
+
+  const lineBreak = /\r?\n/g;
+  let offset = 0;
+  for (let line = 0; line < htmlStart; line += 1) {
+    const match = lineBreak.exec(text);
+    offset = match.index + match[0].length;
+  }
+
+  return {
+    lists: text.slice(0, offset),
+    html: text.slice(offset),
+    htmlStart,
+  };
+}
+
+/**
+ * Joins a lists text and an HTML text into the single-text form used by
+ * perchance.org, adding the line break and blank line the HTML panel needs
+ * when the lists text does not already end with them.
+ */
+function mergeGenerator(lists, html) {
+  if (!html) {
+    return lists;
+  }
+
+  const eol = lists.includes("\r\n") ? "\r\n" : "\n";
+  let head = lists;
+  if (!head.endsWith("\n")) {
+    head += eol;
+  }
+  if (!/(^|\n)[\t ]*\r?\n$/.test(head)) {
+    head += eol;
+  }
+  return head + html;
+}
+
+module.exports = {
+  splitGenerator,
+  mergeGenerator,
+};
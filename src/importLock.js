@@ -0,0 +1,103 @@
+"use strict";
+
+const crypto = require("crypto");
+
+const IMPORT_REGEX = /\{import:([A-Za-z0-9_-]+)\}/gi;
+const LOCKFILE_VERSION = 1;
+
+function findImports(text) {
+  const names = new Set();
+  let match;
+  IMPORT_REGEX.lastIndex = 0;
+  while ((match = IMPORT_REGEX.exec(text))) {
+    names.add(match[1]);
+  }
+  return Array.from(names);
+}
+
+function hashText(text) {
+  return `sha256-${crypto.createHash("sha256").update(text).digest("hex")}`;
+}
+
+/**
+ * Downloads `rootNames` and everything they import in turn, each once.
+ * `download(name)` resolves to the generator text. Returns a Map of name to
+ * `{ text, hash, imports }`, or `{ error }` when the download failed.
+ */
+async function resolveImportGraph(rootNames, download) {
+  const graph = new Map();
+  const queue = [...rootNames];
+
+  while (queue.length) {
+    const name = queue.shift();
+    if (graph.has(name)) {
+      continue;
+    }
+    try {
+      const text = await download(name);
+      const imports = findImports(text);
+      graph.set(name, { text, hash: hashText(text), imports });
+      queue.push(...imports);
+    } catch (error) {
+      graph.set(name, {
+        error: error instanceof Error ? error.message : String(error),
+      });
+    }
+  }
+
+  return graph;
+}
+
+/**
+ * Builds lockfile data from a resolved graph. Imports that failed to
+ * download keep their entry from `previous`, if any, along with the
+ * entries of what they imported, which could not be followed this time.
+ */
+function createLockfile(graph, previous) {
+  const previousImports = (previous && previous.imports) || {};
+  const entries = {};
+  const keepPrevious = (name) => {
+    if (entries[name] || !previousImports[name]) {
+      return;
+    }
+    entries[name] = previousImports[name];
+    entries[name].imports
+      .filter((child) => !graph.has(child))
+      .forEach(keepPrevious);
+  };
+  graph.forEach((entry, name) => {
+    if (!entry.error) {
+      entries[name] = { hash: entry.hash, imports: entry.imports.sort() };
+    } else {
+      keepPrevious(name);
+    }
+  });
+
+  const imports = {};
+  Object.keys(entries)
+    .sort()
+    .forEach((name) => {
+      imports[name] = entries[name];
+    });
+  return { lockfileVersion: LOCKFILE_VERSION, imports };
+}
+
+function diffLockfiles(previous, next) {
+  const before = (previous && previous.imports) || {};
+  const after = next.imports;
+  return {
+    added: Object.keys(after).filter((name) => !before[name]),
+    removed: Object.keys(before).filter((name) => !after[name]),
+    changed: Object.keys(after).filter(
+      (name) => before[name] && before[name].hash !== after[name].hash,
+    ),
+  };
+}
+
+module.exports = {
+  findImports,
+  hashText,
+  resolveImportGraph,
+  createLockfile,
+  diffLockfiles,
+};
@@ -0,0 +1,470 @@
+"use strict";
+
+const {
+  FUNCTION_HEADER_REGEX,
+  getIndentInfo,
+  stripComment,
+  findHtmlStart,
+  isFunctionListStart,
+  parseListTree,
+  findClosingBracket,
+} = require("./syntax");
+const {
+  findBracketExpressions,
+  getHtmlTextSegments,
+  collectDocumentReferences,
+} = require("./expressions");
+
+const GENERATOR_FILE = "/perchance/generator.js";
+const GLOBALS_FILE = "/perchance/globals.d.ts";
+const PRELUDE_FILE = "/perchance/prelude.d.ts";
+const FUNCTION_PREFIX = "__perchance_";
+const IDENTIFIER_REGEX = /^[A-Za-z_$][\w$]*$/;
+const IF_START_REGEX = /^\s*if\s*\(/;
+const FUNCTION_SIGNATURE_REGEX =
+  /^(async\s+)?([A-Za-z_$][\w$-]*)?\s*\(([^)]*)\)\s*=>\s*$/;
+
+// Unknown names and `await` misuse are worth reporting inside function
+// lists; other type errors are too noisy for untyped generator code.
+const REPORTED_SEMANTIC_CODES = new Set([1308, 2304, 2552, 2588]);
+// Bracket expressions already get "Unknown list reference" warnings.
+const EXPRESSION_IGNORED_CODES = new Set([2304, 2552]);
+
+const PRELUDE = `interface PerchanceList {
+  [member: string]: any;
+  /** Selects one item at random, respecting odds. */
+  selectOne: any;
+  /** Selects \`count\` items (or between \`count\` and \`max\`), repeats allowed. */
+  selectMany(count: number, max?: number): PerchanceList;
+  /** Selects \`count\` distinct items (or between \`count\` and \`max\`). */
+  selectUnique(count: number, max?: number): PerchanceList;
+  /** Every item of the list. */
+  selectAll: PerchanceList;
+  /** Joins the selected items with \`separator\`. */
+  joinItems(separator: string): string;
+  /** A copy of the list whose items are removed as they are selected. */
+  consumableList: PerchanceList;
+  pluralForm: string;
+  singularForm: string;
+  pastTense: string;
+  presentTense: string;
+  futureTense: string;
+  negativeForm: string;
+  titleCase: string;
+  sentenceCase: string;
+  upperCase: string;
+  lowerCase: string;
+  getName: string;
+  getLength: number;
+  evaluateItem: string;
+}
+/** Re-renders the page, or only the given element. */
+declare function update(element?: any): void;
+declare function evaluateItem(item: any): string;
+declare function createPerchanceTree(text: string): any;
+declare const root: any;
+`;
+
+const COMPILER_OPTIONS_SOURCE = {
+  allowJs: true,
+  checkJs: true,
+  noEmit: true,
+  lib: ["es2020", "dom"],
+};
+
+/**
+ * Splits Perchance's `if (cond) {a} else if (cond) {b} else {c}` expression
+ * into its JavaScript conditions and its `{...}` bodies, which are Perchance
+ * text. Returns null when `source` is not that form, and no parts when it
+ * is malformed.
+ */
+function splitIfElse(source) {
+  if (!IF_START_REGEX.test(source)) {
+    return null;
+  }
+  const conditions = [];
+  const bodies = [];
+  let index = 0;
+  for (;;) {
+    const keyword = source.slice(index).match(IF_START_REGEX);
+    let bodyStart = index;
+    if (keyword) {
+      const open = index + keyword[0].length - 1;
+      const close = findClosingBracket(source, open);
+      if (close === -1) {
+        return { conditions: [], bodies: [] };
+      }
+      conditions.push({
+        start: open + 1,
+        source: source.slice(open + 1, close),
+      });
+      bodyStart = close + 1 + source.slice(close + 1).search(/\S|$/);
+    }
+    const bodyEnd =
+      source[bodyStart] === "{" ? findClosingBracket(source, bodyStart) : -1;
+    if (bodyEnd === -1) {
+      return { conditions: [], bodies: [] };
+    }
+    bodies.push({
+      start: bodyStart + 1,
+      text: source.slice(bodyStart + 1, bodyEnd),
+    });
+    const rest = source.slice(bodyEnd + 1);
+    const elseMatch = rest.match(/^\s*else\b\s*/);
+    if (!keyword || !elseMatch) {
+      return rest.trim() || (!keyword && elseMatch)
+        ? { conditions: [], bodies: [] }
+        : { conditions, bodies };
+    }
+    index = bodyEnd + 1 + elseMatch[0].length;
+  }
+}
+
+/**
+ * Projects the JavaScript in a generator into one virtual file: each
+ * function list becomes a function and each `[...]` expression a statement
+ * on its own line. `mappings` ties virtual line spans back to the original.
+ */
+function projectJavaScript(lines) {
+  const htmlStart = findHtmlStart(lines);
+  const virtualLines = [];
+  const mappings = [];
+  const htmlState = { rawTag: null };
+  let functionLevel = null;
+  let functionCount = 0;
+
+  const addLine = (text, mapping) => {
+    if (mapping) {
+      mappings.push({ virtualLine: virtualLines.length, ...mapping });
+    }
+    virtualLines.push(text);
+  };
+
+  const addExpression = (source, line, start) => {
+    addLine(`;(${source});`, {
+      kind: "expression",
+      originalLine: line,
+      originalStart: start,
+      virtualStart: 2,
+      length: source.length,
+    });
+  };
+
+  const addExpressions = (text, line, offset) => {
+    findBracketExpressions(text).forEach((expression) => {
+      const start = offset + expression.start + 1;
+      const ifElse = splitIfElse(expression.source);
+      if (!ifElse) {
+        addExpression(expression.source, line, start);
+        return;
+      }
+      ifElse.conditions.forEach((condition) => {
+        addExpression(condition.source, line, start + condition.start);
+      });
+      ifElse.bodies.forEach((body) => {
+        addExpressions(body.text, line, start + body.start);
+      });
+    });
+  };
+
+  for (let index = 0; index < lines.length; index += 1) {
+    const line = lines[index];
+
+    if (index >= htmlStart) {
+      if (functionLevel !== null) {
+        addLine("}");
+        functionLevel = null;
+      }
+      getHtmlTextSegments(line, htmlState).forEach((segment) => {
+        addExpressions(segment.text, index, segment.start);
+      });
+      continue;
+    }
+
+    const trimmed = line.trim();
+    if (!trimmed) {
+      continue;
+    }
+
+    const { indent, level } = getIndentInfo(line);
+    if (functionLevel !== null && level > functionLevel) {
+      addLine(line, {
+        kind: "function",
+        originalLine: index,
+        originalStart: 0,
+        virtualStart: 0,
+        length: line.length,
+      });
+      continue;
+    }
+    if (functionLevel !== null) {
+      addLine("}");
+      functionLevel = null;
+    }
+    if (trimmed.startsWith("//")) {
+      continue;
+    }
+
+    const content = stripComment(line.slice(indent.length)).trim();
+    if (FUNCTION_HEADER_REGEX.test(content) || isFunctionListStart(content)) {
+      const signature = content.match(FUNCTION_SIGNATURE_REGEX);
+      const isAsync = Boolean(signature && signature[1]);
+      const params = signature ? signature[3] : "";
+      functionCount += 1;
+      addLine(
+        `${isAsync ? "async " : ""}function ${FUNCTION_PREFIX}${functionCount}(${params}) {`,
+      );
+      functionLevel = level;
+      continue;
+    }
+
+    addExpressions(
+      stripComment(line.slice(indent.length)),
+      index,
+      indent.length,
+    );
+  }
+
+  if (functionLevel !== null) {
+    addLine("}");
+  }
+
+  return { text: virtualLines.join("\n"), virtualLines, mappings };
+}
+
+/**
+ * Declares the generator's lists, `[x = ...]` variables and HTML element
+ * ids as globals, the way Perchance exposes them at runtime.
+ */
+function createGlobalsDeclaration(lines) {
+  const tree = parseListTree(lines);
+  const { assignments, elementIds } = collectDocumentReferences(lines);
+  const declarations = new Map();
+
+  assignments.forEach((assignment) => {
+    declarations.set(assignment.name, "any");
+  });
+  elementIds.forEach((id) => {
+    declarations.set(id, "HTMLElement");
+  });
+  const visit = (node) => {
+    if (node.name && node.kind !== "item") {
+      declarations.set(node.name, "PerchanceList");
+    }
+    node.children.forEach(visit);
+  };
+  tree.lists.forEach(visit);
+
+  return Array.from(declarations.entries())
+    .filter(([name]) => IDENTIFIER_REGEX.test(name))
+    .map(([name, type]) => `declare var ${name}: ${type};`)
+    .join("\n");
+}
+
+function toVirtualPosition(projection, line, character) {
+  const mapping = projection.mappings.find(
+    (entry) =>
+      entry.originalLine === line &&
+      character >= entry.originalStart &&
+      character <= entry.originalStart + entry.length,
+  );
+  if (!mapping) {
+    return null;
+  }
+  return {
+    line: mapping.virtualLine,
+    character: mapping.virtualStart + character - mapping.originalStart,
+    kind: mapping.kind,
+  };
+}
+
+function toOriginalPosition(projection, line, character) {
+  const mapping = projection.mappings.find(
+    (entry) => entry.virtualLine === line,
+  );
+  if (!mapping) {
+    return null;
+  }
+  const offset = Math.min(
+    Math.max(character - mapping.virtualStart, 0),
+    mapping.length,
+  );
+  return {
+    line: mapping.originalLine,
+    character: mapping.originalStart + offset,
+    kind: mapping.kind,
+    isWrapper: offset !== character - mapping.virtualStart,
+  };
+}
+
+function toOffset(projection, position) {
+  let offset = 0;
+  for (let i = 0; i < position.line; i += 1) {
+    offset += projection.virtualLines[i].length + 1;
+  }
+  return offset + position.character;
+}
+
+function fromOffset(projection, offset) {
+  let remaining = offset;
+  for (let line = 0; line < projection.virtualLines.length; line += 1) {
+    const length = projection.virtualLines[line].length;
+    if (remaining <= length) {
+      return { line, character: remaining };
+    }
+    remaining -= length + 1;
+  }
+  return null;
+}
+
+/**
+ * Wraps a TypeScript language service around one generator's projection.
+ * Lib files are shared between documents through `registry`.
+ */
+function createJavaScriptService(ts, registry) {
+  const files = new Map();
+  const options = ts.convertCompilerOptionsFromJson(
+    COMPILER_OPTIONS_SOURCE,
+    "/",
+  ).options;
+  options.target = ts.ScriptTarget.ES2020;
+  let projection = null;
+
+  const setFile = (fileName, text) => {
+    const current = files.get(fileName);
+    if (!current || current.text !== text) {
+      files.set(fileName, {
+        text,
+        version: current ? current.version + 1 : 1,
+      });
+    }
+  };
+  setFile(PRELUDE_FILE, PRELUDE);
+
+  const host = {
+    getCompilationSettings: () => options,
+    getScriptFileNames: () => Array.from(files.keys()),
+    getScriptVersion: (fileName) =>
+      String(files.has(fileName) ? files.get(fileName).version : 0),
+    getScriptSnapshot: (fileName) => {
+      if (files.has(fileName)) {
+        return ts.ScriptSnapshot.fromString(files.get(fileName).text);
+      }
+      return ts.sys.fileExists(fileName)
+        ? ts.ScriptSnapshot.fromString(ts.sys.readFile(fileName))
+        : undefined;
+    },
+    getCurrentDirectory: () => "/",
+    getDefaultLibFileName: (compilerOptions) =>
+      ts.getDefaultLibFilePath(compilerOptions),
+    fileExists: (fileName) => files.has(fileName) || ts.sys.fileExists(fileName),
+    readFile: (fileName) =>
+      files.has(fileName) ? files.get(fileName).text : ts.sys.readFile(fileName),
+  };
+  const service = ts.createLanguageService(host, registry);
+
+  function update(lines) {
+    projection = projectJavaScript(lines);
+    setFile(GENERATOR_FILE, projection.text);
+    setFile(GLOBALS_FILE, createGlobalsDeclaration(lines));
+    return projection;
+  }
+
+  function getOffset(line, character) {
+    const position = toVirtualPosition(projection, line, character);
+    return position ? toOffset(projection, position) : -1;
+  }
+
+  function getCompletions(line, character) {
+    const offset = getOffset(line, character);
+    if (offset === -1) {
+      return null;
+    }
+    const completions = service.getCompletionsAtPosition(
+      GENERATOR_FILE,
+      offset,
+      {},
+    );
+    return completions ? completions.entries : null;
+  }
+
+  function getQuickInfo(line, character) {
+    const offset = getOffset(line, character);
+    if (offset === -1) {
+      return null;
+    }
+    const info = service.getQuickInfoAtPosition(GENERATOR_FILE, offset);
+    if (!info) {
+      return null;
+    }
+    return {
+      signature: ts.displayPartsToString(info.displayParts),
+      documentation: ts.displayPartsToString(info.documentation),
+    };
+  }
+
+  /**
+   * Returns syntax errors, plus a few semantic ones, mapped back to the
+   * generator. Diagnostics on the synthetic function wrappers are dropped.
+   */
+  function getDiagnostics() {
+    const syntactic = service
+      .getSyntacticDiagnostics(GENERATOR_FILE)
+      .map((diagnostic) => ({ diagnostic, isError: true }));
+    const semantic = service
+      .getSemanticDiagnostics(GENERATOR_FILE)
+      .filter((diagnostic) => REPORTED_SEMANTIC_CODES.has(diagnostic.code))
+      .map((diagnostic) => ({ diagnostic, isError: false }));
+
+    return [...syntactic, ...semantic]
+      .map(({ diagnostic, isError }) => {
+        const start = fromOffset(projection, diagnostic.start || 0);
+        const end = fromOffset(
+          projection,
+          (diagnostic.start || 0) + (diagnostic.length || 0),
+        );
+        const originalStart =
+          start && toOriginalPosition(projection, start.line, start.character);
+        // Errors on the `;(...);` around an expression are not in the
+        // generator's code.
+        if (!originalStart || (isError && originalStart.isWrapper)) {
+          return null;
+        }
+        if (
+          originalStart.kind === "expression" &&
+          EXPRESSION_IGNORED_CODES.has(diagnostic.code)
+        ) {
+          return null;
+        }
+        const originalEnd =
+          end && end.line === start.line
+            ? toOriginalPosition(projection, end.line, end.character)
+            : null;
+        return {
+          line: originalStart.line,
+          start: originalStart.character,
+          end: originalEnd ? originalEnd.character : originalStart.character + 1,
+          message: ts.flattenDiagnosticMessageText(diagnostic.messageText, "\n"),
+          code: diagnostic.code,
+          isError,
+        };
+      })
+      .filter(Boolean);
+  }
+
+  return {
+    update,
+    getCompletions,
+    getQuickInfo,
+    getDiagnostics,
+    dispose: () => service.dispose(),
+  };
+}
+
+module.exports = {
+  projectJavaScript,
+  createGlobalsDeclaration,
+  createJavaScriptService,
+  toVirtualPosition,
+  toOriginalPosition,
+};
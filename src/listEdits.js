@@ -0,0 +1,115 @@
+"use strict";
+
+const { findHtmlStart } = require("./syntax");
+
+// Tabs count as one two-space level, as in countIndentLevel.
+function getIndentWidth(indent) {
+  let width = 0;
+  for (const char of indent) {
+    width += char === "\t" ? 2 : 1;
+  }
+  return width;
+}
+
+/**
+ * Picks the indent unit the generator already uses: a tab when its first
+ * indented list line starts with one, two spaces otherwise.
+ */
+function detectIndentUnit(lines) {
+  const htmlStart = findHtmlStart(lines);
+  for (let index = 0; index < htmlStart; index += 1) {
+    const match = lines[index].match(/^[\t ]+(?=\S)/);
+    if (match) {
+      return match[0][0] === "\t" ? "\t" : "  ";
+    }
+  }
+  return "  ";
+}
+
+/**
+ * Works out the nesting level of each line from `start` to `end` by how
+ * its indentation compares with the lines before it, so uneven or mixed
+ * indentation keeps the nesting it was meant to have. Blank and comment
+ * lines do not take part and get null.
+ */
+function computeIndentLevels(lines, start, end) {
+  const widths = [];
+  const levels = [];
+  for (let index = start; index <= end; index += 1) {
+    const line = lines[index];
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith("//")) {
+      levels.push(null);
+      continue;
+    }
+    const width = getIndentWidth(line.match(/^[\t ]*/)[0]);
+    while (widths.length && width < widths[widths.length - 1]) {
+      widths.pop();
+    }
+    if (!widths.length || width > widths[widths.length - 1]) {
+      widths.push(width);
+    }
+    levels.push(widths.length - 1);
+  }
+  return levels;
+}
+
+/**
+ * Returns lines `start` to `end` re-indented with `unit` per level. Blank
+ * lines become empty and comment lines are kept as they are.
+ */
+function reindentLines(lines, start, end, unit) {
+  return computeIndentLevels(lines, start, end).map((level, offset) => {
+    const line = lines[start + offset];
+    if (level === null) {
+      return line.trim() ? line : "";
+    }
+    return unit.repeat(level) + line.trimStart();
+  });
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Finds the candidate closest to `name`, ignoring case, within a third of
+ * its length (at least one edit). Returns null when nothing is that close.
+ */
+function findClosestName(name, candidates) {
+  const limit = Math.max(1, Math.floor(name.length / 3));
+  let best = null;
+  let bestDistance = Infinity;
+  candidates.forEach((candidate) => {
+    if (candidate === name) {
+      return;
+    }
+    const distance = editDistance(name.toLowerCase(), candidate.toLowerCase());
+    if (distance <= limit && distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  });
+  return best;
+}
+
+module.exports = {
+  getIndentWidth,
+  detectIndentUnit,
+  computeIndentLevels,
+  reindentLines,
+  editDistance,
+  findClosestName,
+};
@@ -0,0 +1,258 @@
+"use strict";
+
+const { parseListTree, splitItemOdds } = require("./syntax");
+const {
+  findBracketExpressions,
+  parseExpressionReferences,
+} = require("./expressions");
+const { findChoiceBlocks } = require("./odds");
+
+const CONDITIONAL_REGEX = /\?|\|\||&&|\bif\b/;
+// Members that read a list without picking one of its items.
+const NON_PICKING_MEMBERS = new Set([
+  "length",
+  "getName",
+  "getLength",
+  "getOdds",
+  "getSelf",
+  "getParent",
+  "getPropertyKeys",
+  "getFunctionNames",
+  "getRawListText",
+]);
+
+/**
+ * Builds the graph of which top-level lists refer to which, from the
+ * references found by collectDocumentReferences. `lists` maps each name to
+ * its first definition, `edges` maps it to the names its lines refer to,
+ * and `htmlReferences` holds the names used in the HTML panel.
+ */
+function buildReferenceGraph(lines, references) {
+  const tree = parseListTree(lines);
+  const lists = new Map();
+  const owners = [];
+  tree.lists.forEach((node) => {
+    if (!node.name) {
+      return;
+    }
+    if (!lists.has(node.name)) {
+      lists.set(node.name, node);
+    }
+    for (let line = node.line; line <= node.endLine; line += 1) {
+      owners[line] = node.name;
+    }
+  });
+
+  const edges = new Map(Array.from(lists.keys(), (name) => [name, new Set()]));
+  const htmlReferences = new Set();
+  references.forEach((ref) => {
+    if (!lists.has(ref.name)) {
+      return;
+    }
+    if (ref.line >= tree.htmlStart) {
+      htmlReferences.add(ref.name);
+    } else if (owners[ref.line]) {
+      edges.get(owners[ref.line]).add(ref.name);
+    }
+  });
+
+  return { tree, lists, edges, htmlReferences };
+}
+
+function findReachableLists(graph, roots) {
+  const reachable = new Set();
+  const queue = Array.from(roots).filter((name) => graph.lists.has(name));
+  while (queue.length) {
+    const name = queue.shift();
+    if (reachable.has(name)) {
+      continue;
+    }
+    reachable.add(name);
+    queue.push(...graph.edges.get(name));
+  }
+  return reachable;
+}
+
+/**
+ * Finds items that appear more than once in the same list, at any depth.
+ * Returns the repeats, each with the line of the first copy.
+ */
+function findDuplicateItems(tree) {
+  const duplicates = [];
+  const visit = (node) => {
+    const seen = new Map();
+    node.children.forEach((child) => {
+      if (child.kind !== "item") {
+        visit(child);
+        return;
+      }
+      const text = child.text.trim();
+      if (seen.has(text)) {
+        duplicates.push({
+          node: child,
+          parent: node,
+          firstLine: seen.get(text),
+        });
+      } else {
+        seen.set(text, child.line);
+      }
+    });
+  };
+  tree.lists.forEach(visit);
+  return duplicates;
+}
+
+/**
+ * Finds the lists an item always evaluates: `[...]` expressions outside
+ * `{a|b}` choices and without a condition (`?:`, `||`, `&&`, `if`), except
+ * where only a member such as `.length` is read.
+ */
+function findAlwaysReferenced(text) {
+  const blocks = findChoiceBlocks(text);
+  const names = new Set();
+  findBracketExpressions(text)
+    .filter(
+      (expression) =>
+        !CONDITIONAL_REGEX.test(expression.source) &&
+        !blocks.some(
+          (block) =>
+            expression.start > block.start && expression.end < block.end,
+        ),
+    )
+    .forEach((expression) => {
+      parseExpressionReferences(expression.source)
+        .references.filter(
+          (ref) =>
+            !ref.path.some((member) => NON_PICKING_MEMBERS.has(member.name)),
+        )
+        .forEach((ref) => names.add(ref.name));
+    });
+  return names;
+}
+
+// A list (or sublist) always leads into `members` when every item it can
+// pick does. Properties (`key = value`) are not picked; function lists are
+// JavaScript and are assumed to finish.
+function alwaysLeadsInto(node, members) {
+  if (node.kind === "shorthand") {
+    return Array.from(findAlwaysReferenced(node.value)).some((name) =>
+      members.has(name),
+    );
+  }
+  if (node.kind === "item") {
+    // `^[...]` odds are only checked, not output.
+    const { text } = splitItemOdds(node.text);
+    return Array.from(findAlwaysReferenced(text)).some((name) =>
+      members.has(name),
+    );
+  }
+  if (node.kind !== "list") {
+    return false;
+  }
+  const items = node.children.filter(
+    (child) => child.kind === "item" || child.kind === "list",
+  );
+  return (
+    items.length > 0 && items.every((item) => alwaysLeadsInto(item, members))
+  );
+}
+
+function findStronglyConnectedComponents(graph) {
+  const indexes = new Map();
+  const lowLinks = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const components = [];
+  let counter = 0;
+
+  const connect = (name) => {
+    indexes.set(name, counter);
+    lowLinks.set(name, counter);
+    counter += 1;
+    stack.push(name);
+    onStack.add(name);
+
+    graph.edges.get(name).forEach((next) => {
+      if (!indexes.has(next)) {
+        connect(next);
+        lowLinks.set(name, Math.min(lowLinks.get(name), lowLinks.get(next)));
+      } else if (onStack.has(next)) {
+        lowLinks.set(name, Math.min(lowLinks.get(name), indexes.get(next)));
+      }
+    });
+
+    if (lowLinks.get(name) === indexes.get(name)) {
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.push(member);
+      } while (member !== name);
+      components.push(component.reverse());
+    }
+  };
+
+  graph.lists.forEach((_node, name) => {
+    if (!indexes.has(name)) {
+      connect(name);
+    }
+  });
+  return components;
+}
+
+/**
+ * Finds groups of lists that refer to each other in a loop with no way
+ * out: every item of every list in the group always evaluates a list in
+ * the group, so generating any of them never finishes. Each group is a Set
+ * of list names.
+ */
+function findInfiniteCycles(graph) {
+  return findStronglyConnectedComponents(graph)
+    .filter(
+      ([first, ...rest]) => rest.length || graph.edges.get(first).has(first),
+    )
+    .map((component) => new Set(component))
+    .filter((members) =>
+      Array.from(members).every((name) =>
+        alwaysLeadsInto(graph.lists.get(name), members),
+      ),
+    );
+}
+
+/**
+ * Returns the shortest path of references from `start` back to itself
+ * through the set `members`, such as `["a", "b", "a"]`.
+ */
+function findCyclePath(graph, start, members) {
+  const previous = new Map();
+  const queue = [start];
+  while (queue.length) {
+    const name = queue.shift();
+    for (const next of graph.edges.get(name)) {
+      if (!members.has(next)) {
+        continue;
+      }
+      if (next === start) {
+        const steps = [];
+        for (let step = name; step !== start; step = previous.get(step)) {
+          steps.unshift(step);
+        }
+        return [start, ...steps, start];
+      }
+      if (!previous.has(next)) {
+        previous.set(next, name);
+        queue.push(next);
+      }
+    }
+  }
+  return [start];
+}
+
+module.exports = {
+  buildReferenceGraph,
+  findReachableLists,
+  findDuplicateItems,
+  findInfiniteCycles,
+  findCyclePath,
+};
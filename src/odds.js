@@ -0,0 +1,212 @@
+"use strict";
+
+const {
+  splitItemOdds,
+  findClosingBracket,
+  splitTopLevel,
+  isEscaped,
+} = require("./syntax");
+
+const NUMBER_REGEX = /^\d*\.?\d+$/;
+const PERCENT_REGEX = /^(\s*)(\d+(?:\.\d+)?)%\s*/;
+
+/**
+ * Checks the trailing `^weight` or `^[condition]` of a list item. Offsets
+ * are relative to `text`.
+ */
+function checkItemOdds(text) {
+  const { odds, oddsStart } = splitItemOdds(text);
+  if (odds === null) {
+    const open = text.lastIndexOf("^[");
+    if (
+      open !== -1 &&
+      !isEscaped(text, open) &&
+      findClosingBracket(text, open + 1) === -1
+    ) {
+      return [
+        {
+          start: open,
+          end: text.trimEnd().length,
+          message: "Unclosed ^[condition]: missing ].",
+          code: "perchance.oddsUnbalanced",
+        },
+      ];
+    }
+    return [];
+  }
+
+  const end = oddsStart + 1 + odds.length;
+  if (odds.startsWith("[")) {
+    return [];
+  }
+  if (!odds) {
+    return [
+      {
+        start: oddsStart,
+        end,
+        message: "Missing weight after ^.",
+        code: "perchance.oddsMalformed",
+      },
+    ];
+  }
+  if (!NUMBER_REGEX.test(odds)) {
+    return [
+      {
+        start: oddsStart,
+        end,
+        message: odds.startsWith("-")
+          ? `Weight ^${odds} is negative; weights must be 0 or more.`
+          : `Weight ^${odds} is not a number or a ^[condition].`,
+        code: "perchance.oddsMalformed",
+      },
+    ];
+  }
+  if (Number(odds) === 0) {
+    return [
+      {
+        start: oddsStart,
+        end,
+        message: "Weight ^0 means this item is never selected.",
+        code: "perchance.oddsZero",
+      },
+    ];
+  }
+  return [];
+}
+
+/**
+ * Finds `{a | b}` choice blocks with at least two options, including
+ * nested ones, skipping `[...]` expressions.
+ */
+function findChoiceBlocks(text, offset = 0, blocks = []) {
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+    if (char === "\\") {
+      index += 1;
+      continue;
+    }
+    if (char !== "[" && char !== "{") {
+      continue;
+    }
+    const close = findClosingBracket(text, index);
+    if (close === -1) {
+      break;
+    }
+    if (char === "{") {
+      const inner = text.slice(index + 1, close);
+      if (splitTopLevel(inner, "|").length > 1) {
+        blocks.push({ start: offset + index, end: offset + close + 1, inner });
+      }
+      findChoiceBlocks(inner, offset + index + 1, blocks);
+    }
+    index = close;
+  }
+  return blocks;
+}
+
+function roundToTotal(values, total) {
+  const sum = values.reduce((acc, value) => acc + value, 0);
+  const scaled = values.map((value) => (sum ? (value * total) / sum : 0));
+  const rounded = scaled.map(Math.floor);
+  let remainder = total - rounded.reduce((acc, value) => acc + value, 0);
+  scaled
+    .map((value, index) => ({ index, fraction: value - Math.floor(value) }))
+    .sort((a, b) => b.fraction - a.fraction)
+    .forEach(({ index }) => {
+      if (remainder > 0) {
+        rounded[index] += 1;
+        remainder -= 1;
+      }
+    });
+  return rounded;
+}
+
+/**
+ * Rewrites the inside of a choice block so every option has a percentage
+ * and they add up to 100, keeping the odds the evaluator gives them:
+ * unweighted options share what is left over, which is nothing once the
+ * percentages claim 100% or more. Percentages keep two decimals.
+ */
+function normalizeChoicePercentages(inner) {
+  const options = splitTopLevel(inner, "|").map((raw) => {
+    const match = raw.match(PERCENT_REGEX);
+    return {
+      raw,
+      match,
+      percent: match ? Number(match[2]) : null,
+    };
+  });
+  const weighted = options.filter((option) => option.percent !== null);
+  const claimed = weighted.reduce((sum, option) => sum + option.percent, 0);
+  const unweighted = options.length - weighted.length;
+  const share = unweighted ? Math.max(0, 100 - claimed) / unweighted : 0;
+  const percents = roundToTotal(
+    options.map((option) =>
+      option.percent !== null ? option.percent : share,
+    ),
+    10000,
+  ).map((hundredths) => hundredths / 100);
+
+  return options
+    .map((option, index) => {
+      if (option.match) {
+        return `${option.match[1]}${percents[index]}% ${option.raw.slice(
+          option.match[0].length,
+        )}`;
+      }
+      const leading = option.raw.match(/^\s*/)[0];
+      return `${leading}${percents[index]}% ${option.raw.slice(
+        leading.length,
+      )}`;
+    })
+    .join("|");
+}
+
+/**
+ * Reports choice blocks whose percentages do not add up to 100, or that
+ * mix percentage and unweighted options. `replacement` is the normalised
+ * block for the quick fix.
+ */
+function checkChoicePercentages(text) {
+  const problems = [];
+  findChoiceBlocks(text).forEach((block) => {
+    const options = splitTopLevel(block.inner, "|");
+    const percents = options
+      .map((option) => option.match(PERCENT_REGEX))
+      .filter(Boolean)
+      .map((match) => Number(match[2]));
+    if (!percents.length) {
+      return;
+    }
+    const total = percents.reduce((sum, value) => sum + value, 0);
+    const replacement = `{${normalizeChoicePercentages(block.inner)}}`;
+    if (percents.length < options.length) {
+      problems.push({
+        start: block.start,
+        end: block.end,
+        message: `Choice mixes percentages with unweighted options; the unweighted options share the remaining ${Math.max(
+          0,
+          100 - total,
+        )}%.`,
+        code: "perchance.choicePercentMixed",
+        replacement,
+      });
+    } else if (Math.abs(total - 100) > 1e-9) {
+      problems.push({
+        start: block.start,
+        end: block.end,
+        message: `Choice percentages add up to ${total}%, not 100%.`,
+        code: "perchance.choicePercentSum",
+        replacement,
+      });
+    }
+  });
+  return problems;
+}
+
+module.exports = {
+  checkItemOdds,
+  findChoiceBlocks,
+  normalizeChoicePercentages,
+  checkChoicePercentages,
+};
@@ -0,0 +1,164 @@
+"use strict";
+
+const CALLEE_REGEX = /([A-Za-z_$][\w$]*)\s*$/;
+const OPTION_KEY_REGEX = /[{,]\s*([\w$]*)$/;
+const OPENING_BRACKETS = { "(": ")", "[": "]", "{": "}" };
+const SNIPPET_ALIAS_REGEX = /^\s*([A-Za-z_$][\w$]*)\s*=\s*\{import:/;
+
+/**
+ * Tracks the brackets still open at the end of `prefix`, with the number of
+ * top-level commas seen inside each. Quotes only delimit strings once a
+ * `[` or `(` is open, since plain Perchance text has apostrophes.
+ */
+function scanOpenBrackets(prefix) {
+  const stack = [];
+  let quote = null;
+
+  for (let index = 0; index < prefix.length; index += 1) {
+    const char = prefix[index];
+    if (char === "\\") {
+      index += 1;
+      continue;
+    }
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      }
+      continue;
+    }
+    const inJavaScript = stack.some(
+      (entry) => entry.char === "(" || entry.char === "[",
+    );
+    if (inJavaScript && (char === '"' || char === "'" || char === "`")) {
+      quote = char;
+      continue;
+    }
+    if (OPENING_BRACKETS[char]) {
+      stack.push({ char, index, commas: 0 });
+      continue;
+    }
+    const top = stack[stack.length - 1];
+    if (top && char === OPENING_BRACKETS[top.char]) {
+      stack.pop();
+      continue;
+    }
+    if (top && char === ",") {
+      top.commas += 1;
+    }
+  }
+
+  return stack;
+}
+
+function isInsideExpression(prefix) {
+  return scanOpenBrackets(prefix).some((entry) => entry.char === "[");
+}
+
+/**
+ * Finds the call the cursor is in from the line text before it. Returns
+ * `{ callee, isMember, argumentIndex, optionKey }` or null; `isMember` is set
+ * for `something.callee(`, and `optionKey` is the partial key when the
+ * cursor is at a key position in an object literal passed directly to the
+ * call.
+ */
+function findCallContext(prefix) {
+  const stack = scanOpenBrackets(prefix);
+  for (let i = stack.length - 1; i >= 0; i -= 1) {
+    if (stack[i].char !== "(") {
+      continue;
+    }
+    const before = prefix.slice(0, stack[i].index);
+    const callee = before.match(CALLEE_REGEX);
+    if (!callee) {
+      return null;
+    }
+    const nested = stack.slice(i + 1);
+    let optionKey = null;
+    if (nested.length === 1 && nested[0].char === "{") {
+      const key = prefix.slice(nested[0].index).match(OPTION_KEY_REGEX);
+      optionKey = key ? key[1] : null;
+    }
+    return {
+      callee: callee[1],
+      isMember: /\.\s*$/.test(before.slice(0, callee.index)),
+      argumentIndex: stack[i].commas,
+      optionKey,
+    };
+  }
+  return null;
+}
+
+function formatParameterLabel(param) {
+  const name = param.optional ? `${param.name}?` : param.name;
+  return param.type ? `${name}: ${param.type}` : name;
+}
+
+function formatSignatureLabel(alias, signature) {
+  const params = (signature.parameters || []).map(formatParameterLabel);
+  return `${alias}(${params.join(", ")})`;
+}
+
+/**
+ * Builds the hover markdown for a plugin imported as `alias`. Without an
+ * alias, signatures use the name from the plugin's import snippet.
+ */
+function formatPluginMarkdown(plugin, alias) {
+  const api = plugin.api || {};
+  const snippetAlias = (plugin.snippet || "").match(SNIPPET_ALIAS_REGEX);
+  const callee = alias || (snippetAlias ? snippetAlias[1] : "plugin");
+  const sections = [
+    `**Plugin**: ${plugin.label}${alias ? ` (as \`${alias}\`)` : ""}`,
+  ];
+  if (plugin.description) {
+    sections.push(plugin.description);
+  }
+
+  (api.signatures || []).forEach((signature) => {
+    const lines = [
+      "```js",
+      formatSignatureLabel(callee, signature),
+      "```",
+    ];
+    if (signature.description) {
+      lines.push(signature.description);
+    }
+    (signature.parameters || []).forEach((param) => {
+      lines.push(`- \`${param.name}\` — ${param.description || param.type}`);
+    });
+    if (signature.returns) {
+      lines.push(`\nReturns: ${signature.returns}`);
+    }
+    sections.push(lines.join("\n"));
+  });
+
+  if (api.options && api.options.length) {
+    sections.push(
+      [
+        "Options:",
+        ...api.options.map(
+          (option) =>
+            `- \`${option.name}\` (${option.type}) — ${option.description}`,
+        ),
+      ].join("\n"),
+    );
+  }
+
+  if (api.examples && api.examples.length) {
+    sections.push(
+      ["Example:", "```perchance", ...api.examples, "```"].join("\n"),
+    );
+  }
+
+  if (plugin.url) {
+    sections.push(`[Open docs](${plugin.url})`);
+  }
+  return sections.join("\n\n");
+}
+
+module.exports = {
+  isInsideExpression,
+  findCallContext,
+  formatParameterLabel,
+  formatSignatureLabel,
+  formatPluginMarkdown,
+};
@@ -0,0 +1,98 @@
+"use strict";
+
+const VALUE_PATTERNS = {
+  boolean: /^(true|false)$/,
+  number: /^-?\d*\.?\d+$/,
+  percentage: /^\d*\.?\d+%$/,
+  size: /^\d*\.?\d+(%|px|em|rem|vh|vw)?$/,
+};
+const TYPE_NAMES = {
+  boolean: "true or false",
+  number: "a number",
+  percentage: "a percentage such as 50%",
+  size: "a number, percentage or CSS length such as 120px",
+};
+
+/**
+ * Returns the schema entries that apply inside a list: the `keys` of the
+ * list itself, and the `itemKeys` of its parent (for the inputs under
+ * `userInputs` and the channels under `commentChannels`).
+ */
+function getSchemaSections(schema, currentName, parentName) {
+  const lists = (schema && schema.lists) || {};
+  const sections = [];
+  const current = lists[currentName];
+  const parent = lists[parentName];
+  if (current && current.keys) {
+    sections.push({
+      listName: currentName,
+      keys: current.keys,
+      detail: current.detail,
+    });
+  }
+  if (parent && parent.itemKeys && !lists[currentName]) {
+    sections.push({
+      listName: parentName,
+      keys: parent.itemKeys,
+      detail: parent.itemDetail,
+      isItem: true,
+    });
+  }
+  return sections;
+}
+
+function getPropertyKeys(schema, parentName, grandparentName) {
+  return getSchemaSections(schema, parentName, grandparentName).flatMap(
+    (section) => Object.keys(section.keys),
+  );
+}
+
+/**
+ * Finds which special list a key belongs to, for keys written in the wrong
+ * place. Item keys are described as `userInputs` inputs and so on.
+ */
+function findKeyOwner(schema, key) {
+  const lists = (schema && schema.lists) || {};
+  for (const [name, list] of Object.entries(lists)) {
+    if (list.keys && list.keys[key]) {
+      return { listName: name, isItem: false };
+    }
+    if (list.itemKeys && list.itemKeys[key]) {
+      return { listName: name, isItem: true };
+    }
+  }
+  return null;
+}
+
+/**
+ * Checks a property value against its schema entry and returns a message
+ * when it does not fit. Values with `[...]` or `{...}` are only known once
+ * the generator runs, so they always pass.
+ */
+function checkPropertyValue(key, definition, value) {
+  if (!value || /[[{]/.test(value)) {
+    return null;
+  }
+  if (definition.type === "enum") {
+    const values = definition.values.map((entry) => entry.value);
+    return values.includes(value)
+      ? null
+      : `${key} should be one of ${values.join(", ")}, not "${value}".`;
+  }
+  if (definition.pattern) {
+    return new RegExp(definition.pattern).test(value)
+      ? null
+      : `${key} should be ${definition.patternDescription}, not "${value}".`;
+  }
+  const pattern = VALUE_PATTERNS[definition.type];
+  return !pattern || pattern.test(value)
+    ? null
+    : `${key} should be ${TYPE_NAMES[definition.type]}, not "${value}".`;
+}
+
+module.exports = {
+  getSchemaSections,
+  getPropertyKeys,
+  findKeyOwner,
+  checkPropertyValue,
+};
@@ -0,0 +1,325 @@
+"use strict";
+
+const {
+  splitItemOdds,
+  getOddsWeight,
+  findClosingBracket,
+  splitTopLevel,
+  findListNode,
+  parseListTree,
+} = require("./syntax");
+const { collectDocumentReferences } = require("./expressions");
+const { buildReferenceGraph } = require("./listGraph");
+
+const SIMPLE_REFERENCE_REGEX =
+  /^\s*([A-Za-z_$][\w$-]*)((?:\s*\.\s*[A-Za-z_$][\w$]*)*)\s*$/;
+const RANGE_REGEX = /^\s*(-?\d+|[A-Za-z])\s*-\s*(-?\d+|[A-Za-z])\s*$/;
+const PERCENT_PREFIX_REGEX = /^\s*\d+(?:\.\d+)?%\s*/;
+// Members that pick from the same items, so the count stays the same.
+const SAME_COUNT_MEMBERS = new Set([
+  "selectOne",
+  "titleCase",
+  "sentenceCase",
+  "upperCase",
+  "lowerCase",
+  "pluralForm",
+  "singularForm",
+]);
+const MAX_ITEMS_SHOWN = 50;
+
+function isSelectable(node) {
+  return node.kind === "item" || node.kind === "list";
+}
+
+/**
+ * Works out how likely each item of a list is to be picked, from the
+ * `^weight` odds of it and its siblings, weighed like the evaluator does.
+ * When any sibling has `^[condition]` odds the probabilities depend on the
+ * run, so `dynamic` is set and every `probability` is null.
+ */
+function getItemProbabilities(node) {
+  const items = node.children.filter(isSelectable).map((child) => {
+    const { text, odds } = splitItemOdds(child.text);
+    return {
+      node: child,
+      label: child.name || text.trim(),
+      weight: getOddsWeight(odds),
+    };
+  });
+  const dynamic = items.some((item) => item.weight === null);
+  const total = items.reduce((sum, item) => sum + (item.weight || 0), 0);
+  items.forEach((item) => {
+    if (dynamic) {
+      item.probability = null;
+    } else {
+      // When every weight is 0 nothing is ever picked.
+      item.probability = total ? item.weight / total : 0;
+    }
+  });
+  return { items, dynamic };
+}
+
+/**
+ * Finds the item (or sublist) that starts on `line`, with the list it is
+ * picked from. Top-level lists and properties are not items.
+ */
+function findListItem(tree, line) {
+  const search = (parent) => {
+    for (const child of parent.children) {
+      if (child.line === line) {
+        return isSelectable(child) && parent.kind === "list"
+          ? { node: child, parent }
+          : null;
+      }
+      if (child.children && line > child.line && line <= child.endLine) {
+        return search(child);
+      }
+    }
+    return null;
+  };
+  return search({ kind: "root", children: tree.lists });
+}
+
+function multiply(a, b) {
+  return { count: a.count * b.count, exact: a.exact && b.exact };
+}
+
+function add(a, b) {
+  return { count: a.count + b.count, exact: a.exact && b.exact };
+}
+
+/**
+ * Counts the different outputs a list can produce by following `[list]`
+ * references and `{a|b}` choices. Expressions it cannot follow count as one
+ * output and make the result inexact; lists that recurse into themselves
+ * give Infinity.
+ */
+function createOutputCounter(tree) {
+  const memo = new Map();
+  const visiting = new Set();
+
+  function countExpression(source) {
+    const match = source.match(SIMPLE_REFERENCE_REGEX);
+    let node = match ? findListNode(tree, match[1]) : null;
+    if (!node) {
+      return { count: 1, exact: false };
+    }
+    const members = match[2]
+      .split(".")
+      .map((member) => member.trim())
+      .filter(Boolean);
+    for (const member of members) {
+      const child = node.children.find(
+        (entry) => entry.name === member && entry.kind !== "function",
+      );
+      if (child) {
+        node = child;
+      } else if (!SAME_COUNT_MEMBERS.has(member)) {
+        return { count: 1, exact: false };
+      }
+    }
+    return countNode(node);
+  }
+
+  function countChoice(inner) {
+    if (/^import:/i.test(inner)) {
+      return { count: 1, exact: true };
+    }
+    const range = inner.match(RANGE_REGEX);
+    if (range) {
+      const [from, to] = [range[1], range[2]].map((end) =>
+        /^-?\d+$/.test(end) ? Number(end) : end.charCodeAt(0),
+      );
+      return { count: Math.abs(to - from) + 1, exact: true };
+    }
+    const options = splitTopLevel(inner, "|");
+    if (options.length < 2) {
+      // `{a}`, `{A}` and `{s}` adjust the text around them.
+      return { count: 1, exact: true };
+    }
+    return options
+      .map((option) => countText(option.replace(PERCENT_PREFIX_REGEX, "")))
+      .reduce(add);
+  }
+
+  function countText(text) {
+    let result = { count: 1, exact: true };
+    for (let index = 0; index < text.length; index += 1) {
+      const char = text[index];
+      if (char === "\\") {
+        index += 1;
+        continue;
+      }
+      if (char !== "[" && char !== "{") {
+        continue;
+      }
+      const close = findClosingBracket(text, index);
+      if (close === -1) {
+        break;
+      }
+      const inner = text.slice(index + 1, close);
+      result = multiply(
+        result,
+        char === "[" ? countExpression(inner) : countChoice(inner),
+      );
+      index = close;
+    }
+    return result;
+  }
+
+  function countNode(node) {
+    if (memo.has(node)) {
+      return memo.get(node);
+    }
+    if (visiting.has(node)) {
+      return { count: Infinity, exact: true };
+    }
+    visiting.add(node);
+
+    let result;
+    if (node.kind === "shorthand") {
+      result = countText(node.value);
+    } else if (node.kind === "function") {
+      result = { count: 1, exact: false };
+    } else if (node.kind === "item") {
+      result = countText(splitItemOdds(node.text).text);
+    } else {
+      result = getItemProbabilities(node)
+        .items.filter((item) => item.weight !== 0)
+        .map((item) => countNode(item.node))
+        .reduce(add, { count: 0, exact: true });
+    }
+
+    visiting.delete(node);
+    memo.set(node, result);
+    return result;
+  }
+
+  return countNode;
+}
+
+function computeReferenceDepths(graph) {
+  const depths = new Map();
+  const visiting = new Set();
+  const depthOf = (name) => {
+    if (depths.has(name)) {
+      return depths.get(name);
+    }
+    if (visiting.has(name)) {
+      return Infinity;
+    }
+    visiting.add(name);
+    let depth = 0;
+    graph.edges.get(name).forEach((next) => {
+      // `[list.sublist]` inside the same list is not a step deeper.
+      if (next !== name) {
+        depth = Math.max(depth, 1 + depthOf(next));
+      }
+    });
+    visiting.delete(name);
+    depths.set(name, depth);
+    return depth;
+  };
+  graph.lists.forEach((_node, name) => depthOf(name));
+  return depths;
+}
+
+/**
+ * Collects per-list statistics for a generator: item count, number of
+ * different outputs, longest chain of list references, and each item's
+ * probability.
+ */
+function computeStatistics(lines) {
+  const tree = parseListTree(lines);
+  const graph = buildReferenceGraph(
+    lines,
+    collectDocumentReferences(lines).references,
+  );
+  const countOutputs = createOutputCounter(tree);
+  const depths = computeReferenceDepths(graph);
+
+  return Array.from(graph.lists.values()).map((node) => {
+    const probabilities =
+      node.kind === "list" ? getItemProbabilities(node) : null;
+    return {
+      name: node.name,
+      kind: node.kind,
+      itemCount: probabilities ? probabilities.items.length : 1,
+      outputs: countOutputs(node),
+      depth: depths.get(node.name),
+      probabilities,
+    };
+  });
+}
+
+function formatCount({ count, exact }) {
+  if (count === Infinity) {
+    return "∞ (recursive)";
+  }
+  const text =
+    count >= 1e12 ? count.toExponential(2) : count.toLocaleString("en-US");
+  return exact ? text : `≥ ${text}`;
+}
+
+function formatProbability(probability) {
+  const percent = probability * 100;
+  return `${percent.toFixed(percent > 0 && percent < 1 ? 2 : 1)}%`;
+}
+
+function escapeCell(text) {
+  return text.replace(/\|/g, "\\|");
+}
+
+function formatStatisticsMarkdown(stats, title) {
+  const sections = [
+    `# Generator statistics: ${title}`,
+    [
+      "| List | Items | Distinct outputs | Reference depth |",
+      "| --- | ---: | ---: | ---: |",
+      ...stats.map(
+        (entry) =>
+          `| \`${entry.name}\` | ${entry.itemCount} | ${formatCount(
+            entry.outputs,
+          )} | ${entry.depth === Infinity ? "∞" : entry.depth} |`,
+      ),
+    ].join("\n"),
+    "Distinct outputs counts the combinations of items, `[list]` references and `{a|b}` choices; `≥` marks lists with expressions that could not be followed. Reference depth is the longest chain of lists one list leads through.",
+  ];
+
+  stats
+    .filter((entry) => entry.probabilities && entry.probabilities.items.length)
+    .forEach((entry) => {
+      const { items, dynamic } = entry.probabilities;
+      const rows = items.slice(0, MAX_ITEMS_SHOWN).map((item) => {
+        const weight = item.weight === null ? "dynamic" : item.weight;
+        const probability =
+          item.probability === null ? "—" : formatProbability(item.probability);
+        return `| ${escapeCell(item.label)} | ${weight} | ${probability} |`;
+      });
+      const lines = [
+        `## ${entry.name}`,
+        "| Item | Weight | Probability |",
+        "| --- | ---: | ---: |",
+        ...rows,
+      ];
+      if (items.length > MAX_ITEMS_SHOWN) {
+        lines.push(`\n…and ${items.length - MAX_ITEMS_SHOWN} more items.`);
+      }
+      if (dynamic) {
+        lines.push(
+          "\nSome items have `^[condition]` odds, so the probabilities depend on the run.",
+        );
+      }
+      sections.push(lines.join("\n"));
+    });
+
+  return `${sections.join("\n\n")}\n`;
+}
+
+module.exports = {
+  getItemProbabilities,
+  findListItem,
+  computeStatistics,
+  formatStatisticsMarkdown,
+  formatProbability,
+};
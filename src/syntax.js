@@ -0,0 +1,384 @@
+"use strict";
+
+const LIST_BLOCK_HEADER_REGEX =
+  /^([A-Za-z_][A-Za-z0-9_-]*|\$[A-Za-z_][A-Za-z0-9_-]*)$/;
+const LIST_SHORTHAND_REGEX = /^([A-Za-z_][A-Za-z0-9_-]*)\s*=/;
+const DOLLAR_SHORTHAND_REGEX = /^\$([A-Za-z_][A-Za-z0-9_-]*)\s*=/;
+const FUNCTION_HEADER_REGEX =
+  /^(async\s+)?[A-Za-z_][A-Za-z0-9_$-]*\s*\([^)]*\)\s*=>\s*$/;
+const IMPORT_VALUE_REGEX = /^\{import:([A-Za-z0-9_-]+)\}$/i;
+const ITEM_ODDS_REGEX = /\^(\[[^\]]*\]|[^\s^[\]{}]*)\s*$/;
+
+const CLOSING_BRACKETS = { "[": "]", "{": "}", "(": ")" };
+
+function getIndentInfo(lineText) {
+  const indentMatch = lineText.match(/^[\t ]*/);
+  const indent = indentMatch ? indentMatch[0] : "";
+  return {
+    indent,
+    level: countIndentLevel(indent),
+  };
+}
+
+function countIndentLevel(indent) {
+  let level = 0;
+  let spaces = 0;
+  for (const char of indent) {
+    if (char === "\t") {
+      level += 1;
+    } else if (char === " ") {
+      spaces += 1;
+      if (spaces === 2) {
+        level += 1;
+        spaces = 0;
+      }
+    }
+  }
+  return level;
+}
+
+function stripComment(text) {
+  const index = text.indexOf("//");
+  if (index === -1) {
+    return text;
+  }
+  return text.slice(0, index);
+}
+
+function looksLikeHtmlStart(line) {
+  const trimmed = line.trimStart();
+  if (!trimmed.startsWith("<")) {
+    return false;
+  }
+  if (trimmed.startsWith("<<<<<")) {
+    return false;
+  }
+  return /<\/?[a-zA-Z]/.test(trimmed);
+}
+
+function findHtmlStart(lines) {
+  let sawBlank = false;
+  for (let index = 0; index < lines.length; index += 1) {
+    const line = lines[index];
+    const trimmed = line.trim();
+    if (trimmed === "") {
+      sawBlank = true;
+      continue;
+    }
+    if (sawBlank && looksLikeHtmlStart(line)) {
+      return index;
+    }
+    sawBlank = false;
+  }
+  return lines.length;
+}
+
+function parseListName(trimmedLine) {
+  let line = trimmedLine;
+  if (line.startsWith("async ")) {
+    line = line.slice("async ".length).trimStart();
+  }
+  const match = line.match(/^[A-Za-z0-9_$][\w$-]*/);
+  if (!match) {
+    return null;
+  }
+  return match[0];
+}
+
+function isFunctionListStart(trimmedLine) {
+  if (!trimmedLine) {
+    return false;
+  }
+  return /=>\s*$/.test(trimmedLine);
+}
+
+/**
+ * Splits a trailing `^weight` or `^[condition]` off a list item.
+ * `oddsStart` is the offset of the `^` within `text`, or -1.
+ */
+function splitItemOdds(text) {
+  const match = text.match(ITEM_ODDS_REGEX);
+  if (!match || isEscaped(text, match.index)) {
+    return { text, odds: null, oddsStart: -1 };
+  }
+  return {
+    text: text.slice(0, match.index).trimEnd(),
+    odds: match[1],
+    oddsStart: match.index,
+  };
+}
+
+function isEscaped(text, index) {
+  let slashes = 0;
+  for (let i = index - 1; i >= 0 && text[i] === "\\"; i -= 1) {
+    slashes += 1;
+  }
+  return slashes % 2 === 1;
+}
+
+/**
+ * Returns the weight an item's `^odds` give it: null for `^[condition]`,
+ * which depends on the run, and 1 when there are no odds or they are not a
+ * non-negative number.
+ */
+function getOddsWeight(odds) {
+  if (!odds) {
+    return 1;
+  }
+  if (odds.startsWith("[")) {
+    return null;
+  }
+  const weight = Number(odds);
+  return Number.isFinite(weight) && weight >= 0 ? weight : 1;
+}
+
+/**
+ * Returns the index of the bracket closing the one at `openIndex`, or -1.
+ * Quotes only delimit strings inside `[...]` and `(...)`, where the content
+ * is JavaScript; inside `{...}` they are plain text (e.g. apostrophes).
+ */
+function findClosingBracket(text, openIndex) {
+  const stack = [];
+  let quote = null;
+
+  for (let index = openIndex; index < text.length; index += 1) {
+    const char = text[index];
+    if (char === "\\") {
+      index += 1;
+      continue;
+    }
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      }
+      continue;
+    }
+    const innermost = stack[stack.length - 1];
+    if (
+      (char === '"' || char === "'" || char === "`") &&
+      (innermost === "]" || innermost === ")")
+    ) {
+      quote = char;
+      continue;
+    }
+    if (CLOSING_BRACKETS[char]) {
+      stack.push(CLOSING_BRACKETS[char]);
+      continue;
+    }
+    if (char === innermost) {
+      stack.pop();
+      if (!stack.length) {
+        return index;
+      }
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * Splits `text` on `separator` wherever it is not nested inside brackets.
+ * Pass `inExpression` for JavaScript text so quoted strings are skipped too.
+ */
+function splitTopLevel(text, separator, inExpression = false) {
+  const parts = [];
+  let start = 0;
+  let quote = null;
+
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+    if (char === "\\") {
+      index += 1;
+      continue;
+    }
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      }
+      continue;
+    }
+    if (inExpression && (char === '"' || char === "'" || char === "`")) {
+      quote = char;
+      continue;
+    }
+    if (CLOSING_BRACKETS[char]) {
+      const end = findClosingBracket(text, index);
+      if (end !== -1) {
+        index = end;
+      }
+      continue;
+    }
+    if (char === separator) {
+      parts.push(text.slice(start, index));
+      start = index + 1;
+    }
+  }
+
+  parts.push(text.slice(start));
+  return parts;
+}
+
+function createListNode(content, line, column, level) {
+  const node = {
+    kind: "item",
+    name: null,
+    text: content,
+    value: null,
+    valueColumn: -1,
+    line,
+    column,
+    level,
+    endLine: line,
+    children: [],
+    body: [],
+  };
+
+  if (FUNCTION_HEADER_REGEX.test(content) || isFunctionListStart(content)) {
+    node.kind = "function";
+    node.name = parseListName(content);
+    return node;
+  }
+
+  const shorthand =
+    content.match(LIST_SHORTHAND_REGEX) || content.match(DOLLAR_SHORTHAND_REGEX);
+  if (shorthand && content[shorthand[0].length] !== "=") {
+    const valueOffset =
+      shorthand[0].length +
+      (content.slice(shorthand[0].length).match(/^\s*/) || [""])[0].length;
+    node.kind = "shorthand";
+    node.name = content.slice(0, content.indexOf("=")).trim();
+    node.value = content.slice(valueOffset);
+    node.valueColumn = column + valueOffset;
+    return node;
+  }
+
+  if (level === 0) {
+    node.kind = "list";
+    node.name = parseListName(content);
+  }
+  return node;
+}
+
+/**
+ * Parses the lists section into a tree using the same indentation rules as
+ * the rest of the extension. Items that gain indented children become
+ * sublists; function lists keep their JavaScript lines in `body`.
+ */
+function parseListTree(lines) {
+  const htmlStart = findHtmlStart(lines);
+  const root = { kind: "root", level: -1, children: [] };
+  const stack = [root];
+  let functionNode = null;
+
+  for (let index = 0; index < htmlStart; index += 1) {
+    const line = lines[index];
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith("//")) {
+      continue;
+    }
+
+    const { indent, level } = getIndentInfo(line);
+    if (functionNode) {
+      if (level > functionNode.level) {
+        functionNode.body.push(index);
+        stack.forEach((node) => {
+          node.endLine = index;
+        });
+        functionNode.endLine = index;
+        continue;
+      }
+      functionNode = null;
+    }
+
+    while (stack.length > 1 && stack[stack.length - 1].level >= level) {
+      stack.pop();
+    }
+
+    const content = stripComment(line.slice(indent.length)).trimEnd();
+    if (!content) {
+      continue;
+    }
+
+    const parent = stack[stack.length - 1];
+    if (parent.kind === "item") {
+      parent.kind = "list";
+      parent.name = splitItemOdds(parent.text).text;
+    }
+
+    const node = createListNode(content, index, indent.length, level);
+    parent.children.push(node);
+    stack.forEach((ancestor) => {
+      ancestor.endLine = index;
+    });
+
+    if (node.kind === "function") {
+      functionNode = node;
+    } else if (node.kind !== "shorthand") {
+      stack.push(node);
+    }
+  }
+
+  return { lists: root.children, htmlStart };
+}
+
+/**
+ * Resolves `name.member.member` to a list node in a parsed tree, following
+ * sublists. Returns null as soon as a member is not a sublist.
+ */
+function findListNode(tree, name, path = []) {
+  let node = tree.lists.find((list) => list.name === name) || null;
+  for (const member of path) {
+    if (!node) {
+      return null;
+    }
+    const memberName = typeof member === "string" ? member : member.name;
+    node = node.children.find((child) => child.name === memberName) || null;
+  }
+  return node;
+}
+
+/**
+ * Maps each `alias = {import:generator-name}` list to its generator name.
+ * The block form, with `{import:...}` as the only item, counts as well.
+ */
+function collectImportAliases(tree) {
+  const imports = new Map();
+  tree.lists.forEach((node) => {
+    if (!node.name) {
+      return;
+    }
+    let value = null;
+    if (node.kind === "shorthand") {
+      value = node.value;
+    } else if (node.kind === "list" && node.children.length === 1) {
+      value = node.children[0].text;
+    }
+    const match = value && value.trim().match(IMPORT_VALUE_REGEX);
+    if (match) {
+      imports.set(node.name, match[1]);
+    }
+  });
+  return imports;
+}
+
+module.exports = {
+  LIST_BLOCK_HEADER_REGEX,
+  LIST_SHORTHAND_REGEX,
+  DOLLAR_SHORTHAND_REGEX,
+  FUNCTION_HEADER_REGEX,
+  getIndentInfo,
+  countIndentLevel,
+  stripComment,
+  looksLikeHtmlStart,
+  findHtmlStart,
+  parseListName,
+  isFunctionListStart,
+  splitItemOdds,
+  isEscaped,
+  getOddsWeight,
+  findClosingBracket,
+  splitTopLevel,
+  parseListTree,
+  findListNode,
+  collectImportAliases,
+};
@@ -0,0 +1,135 @@
+"use strict";
+
+const vscode = require("vscode");
+const fs = require("fs");
+const path = require("path");
+const { parseListTree, collectImportAliases } = require("./syntax");
+
+const GENERATOR_GLOB = "**/*.{perchance,per,prch}";
+const GENERATOR_EXCLUDE_GLOB = "**/node_modules/**";
+const GENERATOR_EXTENSIONS = [".perchance", ".per", ".prch"];
+
+function getGeneratorName(uri) {
+  const baseName = path.basename(uri.fsPath);
+  const extension = path.extname(baseName);
+  return GENERATOR_EXTENSIONS.includes(extension.toLowerCase())
+    ? baseName.slice(0, -extension.length)
+    : baseName;
+}
+
+function isGeneratorFile(uri) {
+  return GENERATOR_EXTENSIONS.includes(path.extname(uri.fsPath).toLowerCase());
+}
+
+/**
+ * Keeps the parsed lists of every generator file in the workspace so that
+ * providers can look beyond the current document and follow
+ * `alias = {import:generator-name}` into local copies of the import.
+ */
+function createWorkspaceIndex() {
+  const entries = new Map();
+
+  function indexText(uri, text) {
+    const tree = parseListTree(text.split(/\r?\n/));
+    const entry = {
+      uri,
+      name: getGeneratorName(uri),
+      tree,
+      imports: collectImportAliases(tree),
+    };
+    entries.set(uri.toString(), entry);
+    return entry;
+  }
+
+  function indexFile(uri) {
+    const open = vscode.workspace.textDocuments.find(
+      (document) => document.uri.toString() === uri.toString(),
+    );
+    if (open) {
+      return indexText(uri, open.getText());
+    }
+    try {
+      return indexText(uri, fs.readFileSync(uri.fsPath, "utf8"));
+    } catch (error) {
+      entries.delete(uri.toString());
+      return null;
+    }
+  }
+
+  async function refresh() {
+    const uris = await vscode.workspace.findFiles(
+      GENERATOR_GLOB,
+      GENERATOR_EXCLUDE_GLOB,
+    );
+    entries.clear();
+    uris.forEach(indexFile);
+  }
+
+  function remove(uri) {
+    entries.delete(uri.toString());
+  }
+
+  function getEntries() {
+    return Array.from(entries.values());
+  }
+
+  function resolveConfiguredPath(generatorName, fromUri) {
+    const config = vscode.workspace.getConfiguration("perchance");
+    const localPaths = config.get("imports.localPaths", {}) || {};
+    const configured = localPaths[generatorName];
+    if (!configured) {
+      return null;
+    }
+    if (path.isAbsolute(configured)) {
+      return vscode.Uri.file(configured);
+    }
+    const folder =
+      (fromUri && vscode.workspace.getWorkspaceFolder(fromUri)) ||
+      (vscode.workspace.workspaceFolders || [])[0];
+    return folder ? vscode.Uri.joinPath(folder.uri, configured) : null;
+  }
+
+  /**
+   * Finds the local file for `{import:generatorName}`: the
+   * `perchance.imports.localPaths` setting wins, then a generator file with
+   * that name, preferring one next to the importing file.
+   */
+  function resolveImport(generatorName, fromUri) {
+    const configuredUri = resolveConfiguredPath(generatorName, fromUri);
+    if (configuredUri) {
+      return (
+        entries.get(configuredUri.toString()) || indexFile(configuredUri)
+      );
+    }
+
+    const matches = getEntries().filter(
+      (entry) => entry.name === generatorName,
+    );
+    if (!matches.length) {
+      return null;
+    }
+    const fromDir = fromUri ? path.dirname(fromUri.fsPath) : null;
+    return (
+      matches.find((entry) => path.dirname(entry.uri.fsPath) === fromDir) ||
+      matches[0]
+    );
+  }
+
+  return {
+    indexText,
+    indexFile,
+    refresh,
+    remove,
+    getEntries,
+    getEntry: (uri) => entries.get(uri.toString()) || null,
+    resolveImport,
+  };
+}
+
+module.exports = {
+  GENERATOR_GLOB,
+  GENERATOR_EXTENSIONS,
+  createWorkspaceIndex,
+  getGeneratorName,
+  isGeneratorFile,
+};